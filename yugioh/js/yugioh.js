@@ -1,9 +1,29 @@
 /* =========================================================================
    Yu-Gi-Oh! Page Logic
    - deck loading, filtering, rendering
-   - hand tester with “hide drawn” projection
-   - life point counter
-   - export (.YDK / .TXT) and import (.YDK -> your JSON template)
+   - hand tester with “hide drawn” projection (seeded shuffles, going first/second, turn stepping)
+   - opening-hand odds (exact hypergeometric by function tag)
+   - Monte Carlo hand simulator (query-based success conditions)
+   - life point counter (duel log, undo/redo, halve/set, .txt export)
+   - match mode (names, best-of-N, who went first, round timer + overtime; persisted)
+   - LP amount expressions (1800+600, half of target) + duel tools (dice, coin, turn/phase, counters)
+   - deck legality validation (sizes, copy limit, Extra-only types)
+   - Forbidden & Limited lists (per-card 0/1/2 badges)
+   - deck editor (qty, move, add/remove, metadata; saved locally)
+   - export (.YDK / .TXT / .JSON / ydke://) and import (.YDK / ydke:// / .TXT -> deck library)
+   - card cache + bundled card DB fallback (offline imports / lookups)
+   - side-by-side deck comparison (diff + summary deltas)
+   - side plans per matchup (apply, validate, print cheat sheet)
+   - shareable deep links (deck, filters, drawn hand in the URL; back/forward)
+   - deck chooser generated from data/index.json (sort / filter by tag, format)
+   - deck JSON schema checks on load (path-specific errors) + HTML-escaped card text
+   - query syntax in the filter box (fields, atk/def/level ranges, AND/OR/NOT)
+   - sort + group modes for deck sections (remembered per deck)
+   - deck stats dashboard (inline SVG charts, no libraries)
+   - goldfish board (zones, drag/keyboard moves, search / summon / shuffle, undo)
+   - saved-hand history per deck (labels, lines, notes; brick rate per version; JSON export/import)
+   - printable proxy sheet (59×86 mm, 3×3 per A4/Letter page, cut marks, bleed, grayscale)
+   - decklist image export (.PNG via canvas; compact / full layouts)
    ========================================================================= */
 
 
@@ -33,15 +53,73 @@ function hideLoader() { console.log('hideLoader'); document.getElementById("load
 // Last loaded deck (canonical source)
 let CURRENT_DECK = null;
 
-// Optional mutated copy (used when we want to “spend” quantities)
+// Locally edited copy (deck editor); null = file version
 let WORKING_DECK = null;
 
+// Path the current deck was loaded from (keys local edits)
+let CURRENT_DECK_SRC = null;
+
+// Deck editor on/off
+let EDIT_MODE = false;
+
+// Side plan currently applied to the deck view (null = pre-side lists)
+let APPLIED_PLAN = null;
+
+// LocalStorage key prefix for deck edits (+ deck path)
+const EDITS_KEY = "ygo.deckEdits.v1:";
+
+// Sort / group modes for deck sections, remembered per deck (key prefix + deck path)
+const VIEW_KEY = "ygo.deckView.v1:";
+let DECK_VIEW = { sort: "file", group: "none" };
+
+// LocalStorage key for imported decks (deck library)
+const LIBRARY_KEY = "ygo.library.v1";
+
+// Deck paths with this prefix come from the library, not from ./data
+const LIBRARY_PREFIX = "library:";
+
+// LocalStorage key for the card cache (id -> slim apiCard)
+const CARD_CACHE_KEY = "ygo.cardCache.v1";
+
+// Bundled card database (cardinfo.php response shape: { data: [...] }),
+// used when the live API is unreachable. Optional: a missing file is fine.
+const CARD_DB_DUMP = "./data/cards/cardinfo.json";
+
+// Deck manifest (generates the deckboxes) + its entries once loaded
+const DECK_MANIFEST = "./data/index.json";
+let DECKS = [];
+
+// LocalStorage key for the deck chooser's sort / filter choice
+const CHOOSER_KEY = "ygo.chooser.v1";
+
+// Card back (missing / failed card images); relative to yugioh/index.html
+const CARD_BACK = "assets/back.jpg";
+
 // Latest hand (hand tester)
 let CURRENT_HAND = [];
 
 // LocalStorage key for saved hands
 const SAVED_KEY = "ygo.savedHands.v1";
 
+// LocalStorage key for the life point counter + duel log (survives reloads)
+const DUEL_KEY = "ygo.duel.v1";
+
+// Starting life points
+const START_LP = 8000;
+
+// LocalStorage key for match mode (names, games, round timer)
+const MATCH_KEY = "ygo.match.v1";
+
+// LocalStorage key for duel tools (turn, phase, counters)
+const TOOLS_KEY = "ygo.duelTools.v1";
+
+// Forbidden & Limited lists: manifest + the one applied to the deck view
+let BANLISTS = [];
+let CURRENT_BANLIST = null;
+
+// LocalStorage key for the chosen banlist
+const BANLIST_KEY = "ygo.banlist.v1";
+
 // Track how many copies of each card have been drawn (affects list projection)
 const DRAWN = { counts: new Map() };
 
@@ -69,6 +147,10 @@ const wait = (ms) => { logFn('wait', ms); return new Promise(r => setTimeout(r,
 // Lowercase normalize (for case-insensitive matching)
 const norm = (s) => { logFn('norm', s); return String(s || "").toLowerCase(); };
 
+// Escape text for HTML / attributes (deck files and imports carry arbitrary text)
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+const escapeHtml = (s) => { logFn('escapeHtml', s); return String(s ?? "").replace(/[&<>"']/g, c => HTML_ESCAPES[c]); };
+
 // Accepts "Monster / Zombie" OR ["Monster","Zombie"] → array
 const asArray = (v) => { logFn('asArray', v); if (Array.isArray(v)) return v; if (v == null) return []; return String(v).split(/\s*\/\s*/).map(s => s.trim()).filter(Boolean); };
 
@@ -78,6 +160,9 @@ const joinSlash = (arr) => { logFn('joinSlash', arr); return arr.join(" / "); };
 // For text search: stringify card.type no matter its shape.
 const typesArrToString = (v) => { logFn('typesArrToString', v); return joinSlash(asArray(v)); };
 
+// Monster / Spell / Trap (first matching type token), else "Other"
+function cardKind(card) { logFn('cardKind', card); const t = asArray(card.type).map(x => x.toLowerCase()); if (t.some(x => x.includes("monster"))) return "Monster"; if (t.some(x => x.includes("spell"))) return "Spell"; if (t.some(x => x.includes("trap"))) return "Trap"; return "Other"; }
+
 // Normalized “function” tags per card (if any)
 function getFunctionTags(card) { logFn('getFunctionTags', card); const raw = card.function ?? card.functions ?? []; return asArray(raw).map(s => s.toLowerCase()); }
 
@@ -104,31 +189,287 @@ function collectFunctionFacet(deck) { logFn('collectFunctionFacet', deck); const
    3) DATA ACCESS (deck + API)
 ========================= */
 
-// Load a local JSON deck (your decks)
-async function loadDeck(path) { console.log('loadDeck', path); const res = await fetch(path, { cache: "no-store" }); if (!res.ok) throw new Error(`failed to load: ${path} (${res.status})`); return await res.json(); }
-
-// YGOPRODeck: fetch cards by ids (in chunks)
-async function fetchCardsByIds(ids = []) { console.log('fetchCardsByIds', ids); const unique = [...new Set(ids)]; const chunks = []; const CHUNK = 50; // API supports multiple IDs; chunk conservatively
-
-  for (let i = 0; i < unique.length; i += CHUNK) {
-    chunks.push(unique.slice(i, i + CHUNK));
+// Load a local JSON deck (your decks); "library:<id>" reads the deck library
+async function loadDeck(path) { console.log('loadDeck', path); if (String(path).startsWith(LIBRARY_PREFIX)) { const entry = libraryEntry(path.slice(LIBRARY_PREFIX.length)); if (!entry) throw new Error(`not in library: ${path}`); return cloneDeck(entry.deck); } const res = await fetch(path, { cache: "no-store" }); if (!res.ok) throw new Error(`failed to load: ${path} (${res.status})`);
+  let deck;
+  try {
+    deck = JSON.parse(await res.text());
+  } catch (e) {
+    throw new Error(`${path} is not valid JSON (${e.message})`);
   }
+  // Schema errors block loading (wrong counts otherwise); warnings show on the deck page
+  const errors = validateDeckSchema(deck).filter(x => x.level === "error");
+  if (errors.length) {
+    const err = new Error(`${path} has ${errors.length} schema error(s)`);
+    err.issues = errors;
+    throw err;
+  }
+  return deck;
+}
 
-  const out = new Map(); // id -> apiCard
-  for (const chunk of chunks) {
-    const url = `https://db.ygoprodeck.com/api/v7/cardinfo.php?id=${chunk.join(",")}`;
+// YGOPRODeck: fuzzy name search (returns apiCard[]); offline → cache + bundled dump
+async function fetchCardsByName(name) { console.log('fetchCardsByName', name); const url = `https://db.ygoprodeck.com/api/v7/cardinfo.php?fname=${encodeURIComponent(name)}`;
+  let list = null;
+  try {
     const res = await fetch(url, { cache: "no-store" });
+    if (res.status === 400) return []; // API answers 400 for “no card matching”
     if (!res.ok) throw new Error(`YGOPRODeck fetch failed (${res.status})`);
     const data = await res.json();
-    const list = Array.isArray(data.data) ? data.data : [];
-    for (const c of list) out.set(Number(c.id), c);
+    list = Array.isArray(data.data) ? data.data : [];
+  } catch (e) {
+    console.warn("Name search offline, using local cards", e);
+    const needle = norm(name);
+    const local = new Map([...(await loadCardDump()), ...readCardCache()]);
+    return [...local.values()].filter(c => norm(c.name).includes(needle));
   }
-  return out;
+  cacheCards(list);
+  return list;
+}
+
+// --- card cache (localStorage) + bundled dump ---
+
+// Keep only what toOurCardFromYGOPRO needs (localStorage is small)
+function slimApiCard(c) {
+  const { id, name, type, race, archetype, attribute, level, linkval, atk, def, desc } = c;
+  const image_url = c.card_images?.[0]?.image_url;
+  return { id, name, type, race, archetype, attribute, level, linkval, atk, def, desc, card_images: image_url ? [{ image_url }] : [] };
 }
 
+// Map id -> slim apiCard
+function readCardCache() {
+  try {
+    const obj = JSON.parse(localStorage.getItem(CARD_CACHE_KEY) || "{}");
+    return new Map(Object.entries(obj).map(([id, c]) => [Number(id), c]));
+  } catch (e) {
+    console.warn("Ignoring unreadable card cache", e);
+    return new Map();
+  }
+}
+
+function cacheCards(apiCards = []) {
+  if (!apiCards.length) return;
+  const cache = readCardCache();
+  apiCards.forEach(c => cache.set(Number(c.id), slimApiCard(c)));
+  try {
+    localStorage.setItem(CARD_CACHE_KEY, JSON.stringify(Object.fromEntries(cache)));
+  } catch (e) {
+    console.warn("Card cache is full; new cards were not cached", e);
+  }
+}
+
+// Bundled dump, loaded once (Map id -> apiCard; empty if not bundled)
+let CARD_DUMP = null;
+function loadCardDump(path = CARD_DB_DUMP) {
+  if (!CARD_DUMP) {
+    CARD_DUMP = fetch(path)
+      .then(res => res.ok ? res.json() : { data: [] })
+      .then(json => new Map((Array.isArray(json.data) ? json.data : []).map(c => [Number(c.id), c])))
+      .catch(e => { console.warn("No bundled card database", e); return new Map(); });
+  }
+  return CARD_DUMP;
+}
+
+// One API call for a chunk of ids. The API rejects the whole request (400)
+// if any id is unknown, so fall back to asking one id at a time.
+async function fetchIdChunk(chunk) {
+  const url = `https://db.ygoprodeck.com/api/v7/cardinfo.php?id=${chunk.join(",")}`;
+  const res = await fetch(url, { cache: "no-store" });
+  if (res.status === 400) {
+    if (chunk.length === 1) return [];
+    const out = [];
+    for (const id of chunk) out.push(...await fetchIdChunk([id]));
+    return out;
+  }
+  if (!res.ok) throw new Error(`YGOPRODeck fetch failed (${res.status})`);
+  const data = await res.json();
+  return Array.isArray(data.data) ? data.data : [];
+}
+
+/**
+ * Resolve card ids: card cache → YGOPRODeck (in chunks) → bundled dump.
+ * Never throws for unknown ids or a dead network; returns
+ * { found: Map(id -> apiCard), source: Map(id -> "cache"|"api"|"dump"), missing: id[] }.
+ */
+async function lookupCards(ids = []) { console.log('lookupCards', ids); const unique = [...new Set(ids.map(Number))].filter(Number.isFinite);
+  const found = new Map(), source = new Map();
+  const take = (c, from) => { const id = Number(c.id); if (!found.has(id)) { found.set(id, c); source.set(id, from); } };
+
+  // 1) cache
+  const cache = readCardCache();
+  unique.forEach(id => { if (cache.has(id)) take(cache.get(id), "cache"); });
+
+  // 2) live API (chunk conservatively)
+  let todo = unique.filter(id => !found.has(id));
+  const CHUNK = 50;
+  try {
+    for (let i = 0; i < todo.length; i += CHUNK) {
+      const list = await fetchIdChunk(todo.slice(i, i + CHUNK));
+      list.forEach(c => take(c, "api"));
+      cacheCards(list);
+    }
+  } catch (e) {
+    console.warn("YGOPRODeck unreachable, falling back to bundled cards", e);
+  }
+
+  // 3) bundled dump
+  todo = unique.filter(id => !found.has(id));
+  if (todo.length) {
+    const dump = await loadCardDump();
+    todo.forEach(id => { if (dump.has(id)) take(dump.get(id), "dump"); });
+  }
+
+  return { found, source, missing: unique.filter(id => !found.has(id)) };
+}
+
+// YGOPRODeck: fetch cards by ids (cache/API/dump; unknown ids are simply absent)
+async function fetchCardsByIds(ids = []) { console.log('fetchCardsByIds', ids); return (await lookupCards(ids)).found; }
+
+// Banlist manifest: [{ key, label, file, effective }, ...] (effective: "YYYY-MM-DD" the list took effect)
+async function loadBanlistIndex(path = "./data/banlists/index.json") { console.log('loadBanlistIndex', path); const res = await fetch(path, { cache: "no-store" }); if (!res.ok) throw new Error(`failed to load: ${path} (${res.status})`); const list = await res.json(); return Array.isArray(list) ? list : []; }
+
+// Deck manifest: [{ key, label, file, boxArt, format, tags: [], archived }]
+async function loadDeckManifest(path = DECK_MANIFEST) { console.log('loadDeckManifest', path); const res = await fetch(path, { cache: "no-store" }); if (!res.ok) throw new Error(`failed to load: ${path} (${res.status})`); const list = await res.json(); return Array.isArray(list) ? list : []; }
+
+// One banlist file: { name, format, effective?, cards: { "<id>": { name, limit } } }
+async function loadBanlist(path) { console.log('loadBanlist', path); const res = await fetch(path, { cache: "no-store" }); if (!res.ok) throw new Error(`failed to load: ${path} (${res.status})`); return await res.json(); }
+
 /* ===== END: DATA ACCESS ===== */
 
 
+/* =========================
+   3b) DECK SCHEMA (shape of deck JSON files)
+   issue: { level: "error"|"warning", path: "sections.main[3].qty", card?, message }
+========================= */
+
+// Value kinds used by the schema below
+const SCHEMA_TYPES = {
+  string:  { test: (v) => typeof v === "string",                       want: "a string" },
+  integer: { test: (v) => Number.isInteger(v),                          want: "a whole number" },
+  count:   { test: (v) => Number.isInteger(v) && v >= 1,               want: "a whole number ≥ 1" },
+  number:  { test: (v) => typeof v === "number" && Number.isFinite(v), want: "a number" },
+  array:   { test: (v) => Array.isArray(v),                            want: "an array" },
+  object:  { test: (v) => !!v && typeof v === "object" && !Array.isArray(v), want: "an object" },
+  // ["Monster", "Zombie"] or "Monster / Zombie"
+  tokens:  { test: (v) => typeof v === "string" || (Array.isArray(v) && v.every(x => typeof x === "string")),
+             want: `an array of strings or a "A / B" string` },
+};
+
+const DECK_SCHEMA = {
+  name:      { type: "string", required: true },
+  author:    { type: "string" },
+  deckstyle: { type: "string" },
+  sections:  { type: "object", required: true },
+  sidePlans: { type: "array" },
+};
+
+const DECK_SECTION_KEYS = ["main", "extra", "side"];
+
+// null counts as “absent” (qty defaults to 1)
+const CARD_SCHEMA = {
+  id:           { type: "integer" },
+  name:         { type: "string", required: true },
+  qty:          { type: "count" },
+  type:         { type: "tokens", required: true },
+  function:     { type: "tokens" },
+  functions:    { type: "tokens" },
+  archetype:    { type: "string" },
+  attribute:    { type: "string" },
+  subtype:      { type: "string" },
+  requirements: { type: "string" },
+  level:        { type: "integer" },
+  rank:         { type: "integer" },
+  link:         { type: "integer" },
+  atk:          { type: "number" },
+  def:          { type: "number" },
+  desc:         { type: "string" },
+  img:          { type: "string" },
+};
+
+// A monster has one of these, never two
+const STAR_FIELDS = ["level", "rank", "link"];
+
+// Short, readable value for messages
+const schemaPreview = (v) => { const s = JSON.stringify(v) ?? String(v); return s.length > 40 ? s.slice(0, 37) + "…" : s; };
+
+// Check obj's fields against a schema; unknown fields are warnings (likely typos)
+function checkSchemaFields(obj, schema, path, issues, card) {
+  const at = (key) => path ? `${path}.${key}` : key;
+
+  Object.entries(schema).forEach(([key, rule]) => {
+    const v = obj[key];
+    if (v == null) {
+      if (rule.required) issues.push({ level: "error", path: at(key), card, message: `missing required field "${key}"` });
+      return;
+    }
+    const kind = SCHEMA_TYPES[rule.type];
+    if (!kind.test(v)) issues.push({ level: "error", path: at(key), card, message: `must be ${kind.want} (got ${schemaPreview(v)})` });
+  });
+
+  Object.keys(obj).filter(key => !(key in schema)).forEach(key => {
+    const near = Object.keys(schema).find(k => levenshtein(key.toLowerCase(), k) <= 2);
+    issues.push({ level: "warning", path: at(key), card, message: `unknown field "${key}"${near ? ` (did you mean "${near}"?)` : ""}` });
+  });
+}
+
+/** Validate a parsed deck file; returns issues (empty = fine). */
+function validateDeckSchema(deck) {
+  const issues = [];
+  if (!SCHEMA_TYPES.object.test(deck)) {
+    return [{ level: "error", path: "(root)", message: `deck must be an object (got ${schemaPreview(deck)})` }];
+  }
+  checkSchemaFields(deck, DECK_SCHEMA, "", issues);
+  if (!SCHEMA_TYPES.object.test(deck.sections)) return issues;
+
+  Object.entries(deck.sections).forEach(([key, list]) => {
+    const path = `sections.${key}`;
+    if (!DECK_SECTION_KEYS.includes(key)) {
+      issues.push({ level: "warning", path, message: `unknown section "${key}" (expected ${DECK_SECTION_KEYS.join(", ")})` });
+    }
+    if (!Array.isArray(list)) {
+      issues.push({ level: "error", path, message: `must be an array of cards (got ${schemaPreview(list)})` });
+      return;
+    }
+    list.forEach((card, i) => {
+      const cardPath = `${path}[${i}]`;
+      if (!SCHEMA_TYPES.object.test(card)) {
+        issues.push({ level: "error", path: cardPath, message: `card must be an object (got ${schemaPreview(card)})` });
+        return;
+      }
+      const name = typeof card.name === "string" ? card.name : undefined;
+      checkSchemaFields(card, CARD_SCHEMA, cardPath, issues, name);
+
+      const stars = STAR_FIELDS.filter(k => card[k] != null);
+      if (stars.length > 1) {
+        issues.push({ level: "error", path: cardPath, card: name, message: `${stars.join(" and ")} are exclusive (a monster has only one of level / rank / link)` });
+      }
+    });
+  });
+
+  return issues;
+}
+
+// Issue list as <li>s (path + card + message)
+function schemaIssueItems(issues) {
+  return issues.map(x => `
+    <li class="is-${x.level}"><code>${escapeHtml(x.path)}</code>${x.card ? ` <strong>${escapeHtml(x.card)}</strong>` : ""}: ${escapeHtml(x.message)}</li>
+  `).join("");
+}
+
+// Warnings for the open deck (errors never get this far for files)
+function schemaIssuesBlock(deck) {
+  const issues = validateDeckSchema(deck);
+  if (!issues.length) return "";
+  return `
+    <details class="schema-issues">
+      <summary>Deck file: ${issues.length} problem(s)</summary>
+      <ul>${schemaIssueItems(issues)}</ul>
+    </details>
+  `;
+}
+
+/* ===== END: DECK SCHEMA ===== */
+
+
 /* =========================
    4) NORMALIZERS (API -> your card shape)
 ========================= */
@@ -139,19 +480,23 @@ async function fetchCardsByIds(ids = []) { console.log('fetchCardsByIds', ids);
  */
 function toOurCardFromYGOPRO(apiCard, qty = 1) { console.log('toOurCardFromYGOPRO', apiCard, qty); // image
   const images = apiCard.card_images || [];
-  const img = images[0]?.image_url || "../assets/back.jpg";
+  const img = images[0]?.image_url || CARD_BACK;
 
   // type array (Monster/Spell/Trap + race/subtypes)
   const typeArr = [];
   const t = String(apiCard.type || "");
+  // "XYZ Monster", "Fusion Monster", frameType "xyz_pendulum"… (case differs across API fields)
+  const kinds = `${t} ${apiCard.frameType || ""}`.toLowerCase();
+  const has = (kind) => kinds.includes(kind);
 
   if (t.includes("Monster")) {
     typeArr.push("Monster");
     if (apiCard.race) typeArr.push(apiCard.race);          // e.g. Zombie / Warrior
-    if (t.includes("Tuner"))   typeArr.push("Tuner");
-    if (t.includes("Synchro")) typeArr.push("Synchro");
-    if (t.includes("Xyz"))     typeArr.push("XYZ");
-    if (t.includes("Link"))    typeArr.push("Link");
+    if (has("tuner"))   typeArr.push("Tuner");
+    if (has("fusion"))  typeArr.push("Fusion");
+    if (has("synchro")) typeArr.push("Synchro");
+    if (has("xyz"))     typeArr.push("XYZ");
+    if (has("link"))    typeArr.push("Link");
   } else if (t.includes("Spell")) {
     typeArr.push("Spell");
     if (apiCard.race) typeArr.push(apiCard.race);          // Normal, Quick-Play, Field...
@@ -160,8 +505,8 @@ function toOurCardFromYGOPRO(apiCard, qty = 1) { console.log('toOurCardFromYGOPR
     if (apiCard.race) typeArr.push(apiCard.race);          // Normal, Counter, Continuous
   }
 
-  const isLink = t.includes("Link");
-  const isXyz  = t.includes("Xyz");
+  const isLink = has("link");
+  const isXyz  = has("xyz");
 
   // Build your shape
   const card = {
@@ -234,9 +579,27 @@ function buildTxt(deck) {
   return parts.join("\n");
 }
 
+// Deck JSON in the same shape as yugioh/data/*.json
+function buildDeckJson(deck) {
+  const { name, author, deckstyle, sections, sidePlans } = deck;
+  return JSON.stringify({
+    name, author, deckstyle,
+    sections: {
+      main:  sections?.main  ?? [],
+      extra: sections?.extra ?? [],
+      side:  sections?.side  ?? [],
+    },
+    ...(sidePlans?.length ? { sidePlans } : {}),
+  }, null, 2) + "\n";
+}
+
 // Trigger download of a text file
 function downloadFile(filename, text) {
-  const blob = new Blob([text], { type: "text/plain;charset=utf-8" });
+  downloadBlob(filename, new Blob([text], { type: "text/plain;charset=utf-8" }));
+}
+
+// Trigger download of any Blob (e.g. a canvas PNG)
+function downloadBlob(filename, blob) {
   const url  = URL.createObjectURL(blob);
   const a    = document.createElement("a");
   a.href = url;
@@ -287,40 +650,523 @@ function compressIdsToQty(ids = []) {
   return [...m.entries()].map(([id, qty]) => ({ id, qty }));
 }
 
-// End-to-end: .YDK text -> your full deck JSON (using YGOPRO API)
+// Stand-in for an id no source knows: keeps the copies (and .ydk round-trip)
+function unknownCard(id, qty) {
+  return { id, name: `Unknown card #${id}`, qty, type: [], img: CARD_BACK };
+}
+
+// End-to-end: .YDK text -> your full deck JSON (cache / YGOPRO API / bundled dump)
+// Returns { deck, report: { unknown: [{ id, qty, section }], sources: { cache, api, dump } } }
 async function importYdkToJson(ydkText) {
-  const parsed = parseYdk(ydkText);                       // ids only
+  return importIdsToJson(parseYdk(ydkText));
+}
+
+// End-to-end: ydke:// link -> your full deck JSON (same result shape as .YDK)
+async function importYdkeToJson(url) {
+  return importIdsToJson({ name: "ydke Import", ...parseYdke(url) });
+}
+
+// { name, main, extra, side } (ids) -> { deck, report }
+async function importIdsToJson(parsed) {
   const allIds = [...parsed.main, ...parsed.extra, ...parsed.side];
-  const apiMap = await fetchCardsByIds(allIds);           // Map id -> apiCard
+  const { found, source } = await lookupCards(allIds);    // Map id -> apiCard
 
-  const packSection = (ids) => {
+  const unknown = [];
+  const packSection = (ids, section) => {
     const comp = compressIdsToQty(ids);                   // [{id, qty}]
     const out  = [];
     for (const { id, qty } of comp) {
-      const apiCard = apiMap.get(id);
-      if (!apiCard) continue;                             // unknown id; skip
+      const apiCard = found.get(id);
+      if (!apiCard) {                                     // unknown id; keep a placeholder + report it
+        unknown.push({ id, qty, section });
+        out.push(unknownCard(id, qty));
+        continue;
+      }
       out.push(toOurCardFromYGOPRO(apiCard, qty));        // <-- your normalizer
     }
     return out;
   };
 
-  return {
+  const deck = {
     name: parsed.name || "Imported Deck",
     author: "Imported",
     deckstyle: "Imported",
     sections: {
-      main:  packSection(parsed.main),
-      extra: packSection(parsed.extra),
-      side:  packSection(parsed.side),
+      main:  packSection(parsed.main,  "main"),
+      extra: packSection(parsed.extra, "extra"),
+      side:  packSection(parsed.side,  "side"),
     }
   };
+
+  const sources = { cache: 0, api: 0, dump: 0 };
+  source.forEach(from => { sources[from]++; });
+  return { deck, report: { unknown, sources } };
+}
+
+// Human-readable import report (for alerts / the deck header)
+function importReportText(report) {
+  if (!report?.unknown?.length) return "";
+  const lines = report.unknown.map(u => `• ${u.id} ×${u.qty} (${SECTION_LABELS[u.section] || u.section})`);
+  return `${report.unknown.length} unknown card id(s) kept as placeholders:\n${lines.join("\n")}`;
 }
 /* ===== END: .YDK IMPORT HELPERS ===== */
 
+
+/* =========================
+   6b) ydke:// LINKS (EDOPro / Duelingbook share format)
+   ydke://<main>!<extra>!<side>! — each part is base64 of little-endian uint32 passcodes
+========================= */
+
+// base64 → [id, ...]
+function ydkeDecodePart(b64) {
+  if (!b64) return [];
+  let bin;
+  try { bin = atob(b64); } catch { throw new Error("ydke link has invalid base64"); }
+  if (bin.length % 4) throw new Error("ydke link is truncated");
+  const ids = [];
+  for (let i = 0; i < bin.length; i += 4) {
+    ids.push((bin.charCodeAt(i) | (bin.charCodeAt(i + 1) << 8) | (bin.charCodeAt(i + 2) << 16) | (bin.charCodeAt(i + 3) << 24)) >>> 0);
+  }
+  return ids;
+}
+
+// [id, ...] → base64
+function ydkeEncodePart(ids) {
+  let bin = "";
+  for (const id of ids) {
+    const n = Number(id) >>> 0;
+    bin += String.fromCharCode(n & 0xff, (n >>> 8) & 0xff, (n >>> 16) & 0xff, (n >>> 24) & 0xff);
+  }
+  return btoa(bin);
+}
+
+// Parse a ydke:// link into { main, extra, side } (ids, one entry per copy)
+function parseYdke(url) {
+  const text = String(url || "").trim();
+  if (!/^ydke:\/\//i.test(text)) throw new Error("Not a ydke:// link");
+  const parts = text.slice("ydke://".length).split("!");
+  if (parts.length < 3) throw new Error("ydke link needs main, extra and side parts");
+  const [main, extra, side] = parts.map(ydkeDecodePart);
+  return { main, extra, side };
+}
+
+// Build a ydke:// link from a deck (cards without an id are skipped)
+function buildYdke(deck) {
+  const ids = (list) => expandSection((list || []).filter(c => c.id != null)).map(c => c.id);
+  return "ydke://" + [
+    ydkeEncodePart(ids(deck.sections?.main)),
+    ydkeEncodePart(ids(deck.sections?.extra)),
+    ydkeEncodePart(ids(deck.sections?.side)),
+  ].join("!") + "!";
+}
+
+/* ===== END: ydke:// LINKS ===== */
+
+
+/* =========================
+   6c) PLAIN-TEXT DECKLIST IMPORT (parse → resolve names → review → deck)
+========================= */
+
+// Header line → section ("Monster/Spell/Trap" all live in Main)
+function txtSectionOf(line) {
+  const h = line.replace(/^[=#!\-*\s]+|[=#\-*:\s]+$/g, "").replace(/\(?\d+\)?\s*(cards?)?$/i, "").trim().toLowerCase();
+  if (/^(main( deck)?|monsters?|spells?|traps?|spell\s*&\s*traps?)$/.test(h)) return "main";
+  if (/^extra( deck)?$/.test(h)) return "extra";
+  if (/^side( deck)?$/.test(h)) return "side";
+  return null;
+}
+
+/**
+ * Parse a plain-text decklist. Accepts buildTxt() output ("=== Main ===",
+ * "Name ×N") plus "3x Name", "3 Name", "Name x3" and headers such as
+ * "Monsters (18)", "Extra Deck:", "Side".
+ * Returns { entries: [{ section, name, qty, line }] }.
+ */
+function parseTxtDecklist(text) {
+  const entries = [];
+  let section = "main";
+
+  String(text || "").split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.replace(/^\s*[-*•]\s*/, "").trim();
+    if (!line || line.startsWith("//")) return;
+
+    const sec = txtSectionOf(line);
+    if (sec) { section = sec; return; }
+    if (line.startsWith("#")) return; // other comments (#created by …)
+
+    let m, name = line, qty = 1;
+    if ((m = /^(\d+)\s*[×xX]\s*(.+)$/.exec(line)))            { qty = Number(m[1]); name = m[2]; }
+    else if ((m = /^(.+?)\s*[×xX]\s*(\d+)$/.exec(line)))      { name = m[1]; qty = Number(m[2]); }
+    else if ((m = /^([1-3])\s+(.+)$/.exec(line)))               { qty = Number(m[1]); name = m[2]; }
+
+    name = name.trim();
+    if (name && qty > 0) entries.push({ section, name, qty, line: i + 1 });
+  });
+
+  return { entries };
+}
+
+// Loose key for name comparison: case, quotes, punctuation, spacing
+function nameKey(s) {
+  return String(s || "").toLowerCase().replace(/[’‘`]/g, "'").replace(/&/g, " and ").replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+// Edit distance (two-row Levenshtein)
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// 0..1 similarity between two card names
+function nameSimilarity(a, b) {
+  const x = nameKey(a), y = nameKey(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  const edit = 1 - levenshtein(x, y) / Math.max(x.length, y.length);
+  // "Ash Blossom" for "Ash Blossom & Joyous Spring": shortened names are common
+  const contains = (x.includes(y) || y.includes(x)) ? 0.7 + 0.25 * Math.min(x.length, y.length) / Math.max(x.length, y.length) : 0;
+  return Math.max(edit, contains);
+}
+
+// Candidate apiCards for a typed name: local (cache + dump) first, then the API
+async function nameCandidates(name, local) {
+  const scored = (cards) => cards
+    .map(card => ({ card, score: nameSimilarity(name, card.name) }))
+    .filter(x => x.score >= 0.4)
+    .sort((a, b) => b.score - a.score);
+
+  let list = scored([...local.values()]);
+  if (list[0]?.score === 1) return list.slice(0, 8);
+
+  // API substring search: full name, then its longest words (catches typos elsewhere)
+  const words = nameKey(name).split(" ").filter(w => w.length >= 4).sort((a, b) => b.length - a.length);
+  const queries = [name, ...words.slice(0, 2)];
+  const seen = new Map(list.map(x => [Number(x.card.id), x]));
+  for (const q of queries) {
+    try {
+      for (const c of await fetchCardsByName(q)) if (!seen.has(Number(c.id))) seen.set(Number(c.id), { card: c, score: nameSimilarity(name, c.name) });
+    } catch (e) {
+      console.warn("Name lookup failed", q, e);
+    }
+    list = [...seen.values()].filter(x => x.score >= 0.4).sort((a, b) => b.score - a.score);
+    if (list[0]?.score === 1) break;
+  }
+  return list.slice(0, 8);
+}
+
+/**
+ * Resolve parsed entries to cards. Each entry gets
+ * { candidates: [{ card, score }], pick: apiCard|null, status }
+ * where status is "exact" | "fuzzy" (confident guess) | "ambiguous" | "unmatched".
+ */
+async function resolveTxtEntries(entries) {
+  const local = new Map([...(await loadCardDump()), ...readCardCache()]);
+  const cache = new Map(); // nameKey -> candidates (repeat names across sections)
+  const out = [];
+  for (const entry of entries) {
+    const key = nameKey(entry.name);
+    if (!cache.has(key)) cache.set(key, await nameCandidates(entry.name, local));
+    const candidates = cache.get(key);
+    const [best, next] = candidates;
+
+    let status = "unmatched";
+    if (best?.score === 1) status = "exact";
+    else if (best && best.score >= 0.8 && (!next || best.score - next.score >= 0.1)) status = "fuzzy";
+    else if (best) status = "ambiguous";
+
+    out.push({ ...entry, candidates, pick: best && status !== "unmatched" ? best.card : null, status });
+  }
+  return out;
+}
+
+// Resolved entries → deck JSON (merges repeats; skipped rows are dropped)
+function buildDeckFromResolved(resolved, name = "Text Import") {
+  const deck = { name, author: "Imported", deckstyle: "Imported", sections: { main: [], extra: [], side: [] } };
+  resolved.forEach(r => {
+    if (!r.pick) return;
+    addCard(deck, r.section, toOurCardFromYGOPRO(r.pick, 1), r.qty);
+  });
+  return deck;
+}
+
+// Review table: every row that isn't an exact match needs a look
+function txtReviewBlock(resolved) {
+  const rows = resolved.map((r, i) => {
+    if (r.status === "exact") return "";
+    const opts = r.candidates.map((c, j) =>
+      `<option value="${j}"${r.pick && Number(c.card.id) === Number(r.pick.id) ? " selected" : ""}>${escapeHtml(c.card.name)} (${Math.round(c.score * 100)}%)</option>`).join("");
+    return `
+      <tr class="is-${r.status}" data-row="${i}">
+        <td>${r.line}</td>
+        <td>${SECTION_LABELS[r.section]}</td>
+        <td>${r.qty}× ${escapeHtml(r.name)}</td>
+        <td><span class="txt-status">${r.status}</span></td>
+        <td>
+          <select data-txt-pick aria-label="Card for line ${r.line}">
+            <option value=""${r.pick ? "" : " selected"}>— skip —</option>${opts}
+          </select>
+        </td>
+      </tr>
+    `;
+  }).join("");
+  const exact = resolved.filter(r => r.status === "exact").length;
+  return `
+    <p class="muted">${exact} of ${resolved.length} line(s) matched exactly.${rows ? " Check the rest before building the deck:" : ""}</p>
+    ${rows ? `
+      <table class="txt-review">
+        <thead><tr><th>Line</th><th>Section</th><th>Text</th><th>Match</th><th>Card</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>` : ""}
+  `;
+}
+
+// Paste/upload → resolve → review → deck library
+function openTxtImport() {
+  const modal = openModal("Import decklist (.TXT)", `
+    <label class="txt-name">Deck name <input id="txtDeckName" type="text" value="Text Import"></label>
+    <textarea id="txtDeckInput" rows="12" spellcheck="false"
+      placeholder="=== Main ===&#10;3x Vampire Familiar&#10;Vampire Retainer x3&#10;&#10;Extra&#10;1 Knightmare Unicorn"></textarea>
+    <div class="modal-actions">
+      <input id="txtDeckFile" type="file" accept=".txt,text/plain" hidden>
+      <button type="button" class="btn btn-sm" id="txtPickFile">Load .txt…</button>
+      <button type="button" class="btn btn-sm primary" id="txtResolve">Resolve names</button>
+    </div>
+    <div id="txtReview" aria-live="polite"></div>
+    <div class="modal-actions">
+      <button type="button" class="btn btn-sm primary" id="txtBuild" hidden>Build deck</button>
+    </div>
+  `);
+
+  const q = (sel) => modal.querySelector(sel);
+  let resolved = [];
+
+  q("#txtPickFile").addEventListener("click", () => q("#txtDeckFile").click());
+  q("#txtDeckFile").addEventListener("change", async () => {
+    const file = q("#txtDeckFile").files?.[0];
+    if (!file) return;
+    q("#txtDeckInput").value = await file.text();
+    q("#txtDeckName").value = file.name.replace(/\.txt$/i, "");
+  });
+
+  q("#txtResolve").addEventListener("click", async () => {
+    const { entries } = parseTxtDecklist(q("#txtDeckInput").value);
+    const review = q("#txtReview");
+    if (!entries.length) { review.innerHTML = `<p class="muted">No card lines found.</p>`; return; }
+    review.innerHTML = `<p class="muted">Resolving ${entries.length} line(s)…</p>`;
+    resolved = await resolveTxtEntries(entries);
+    review.innerHTML = txtReviewBlock(resolved);
+    q("#txtBuild").hidden = false;
+  });
+
+  q("#txtReview").addEventListener("change", (e) => {
+    const sel = e.target.closest("[data-txt-pick]");
+    const row = resolved[Number(sel?.closest("tr")?.dataset.row)];
+    if (!row) return;
+    row.pick = sel.value === "" ? null : row.candidates[Number(sel.value)].card;
+  });
+
+  q("#txtBuild").addEventListener("click", () => {
+    const deck = buildDeckFromResolved(resolved, q("#txtDeckName").value.trim() || "Text Import");
+    const skipped = resolved.filter(r => !r.pick);
+    const entry = addToLibrary(deck, {
+      unknown: [],
+      skipped: skipped.map(r => ({ line: r.line, text: `${r.qty}× ${r.name}`, section: r.section })),
+    });
+    modal.close();
+    openLibraryDeck(entry.id);
+  });
+}
+
+/* ===== END: PLAIN-TEXT DECKLIST IMPORT ===== */
+
 /* =========================
    7) LIFE POINT COUNTER (tap player panel to apply amount)
 ========================= */
 
+// --- duel log (pure) ---
+// entry: { player: "A"|"B"|"both", kind: "damage"|"heal"|"halve"|"set"|"reset"|"note", amount, text?, before: {A, B}, after: {A, B}, at }
+// LP only ever changes through entries, so undo = restore `before`, redo = restore `after`.
+// "note" entries (match events, dice, phases…) leave LP as is and are not undoable:
+// undo/redo only step through the LP entries, notes stay where they are in the log.
+// A `locked` entry (match mode's reset between games) is a barrier undo does not cross,
+// so the LP log can't drift from the match score.
+
+const clampLP = (v) => Math.max(0, Math.min(999999, v | 0));
+
+// New LP totals after one operation
+function lpApply(lp, player, kind, amount = 0) {
+  if (kind === "reset") return { A: START_LP, B: START_LP };
+  if (kind === "note")  return { ...lp };
+  const cur = lp[player];
+  const next = {
+    damage: cur - amount,
+    heal:   cur + amount,
+    halve:  Math.ceil(cur / 2),
+    set:    amount,
+  }[kind];
+  return { ...lp, [player]: clampLP(next ?? cur) };
+}
+
+/**
+ * Amount box expressions: "1800+600" → 2400, "2400*2" → 4800, "half of target" → ceil(target / 2).
+ * Supports + - * / ( ), x/× for multiply, and the words half [of], target / lp (the tapped player's LP).
+ * Result is a whole amount (rounded up like halving); NaN if it needs an unknown target.
+ * A negative result is an error rather than a silent flip of the direction.
+ * Throws Error with a readable message on bad input. Empty text → 0.
+ */
+function evalLpExpr(text, target = NaN) {
+  const src = String(text || "").toLowerCase().trim();
+  if (!src) return 0;
+
+  const tokens = [];
+  const re = /\s*(\d+(?:\.\d+)?|[-+*/x×÷()]|[a-z]+|\S)/y;
+  let m;
+  while (re.lastIndex < src.length && (m = re.exec(src))) tokens.push(m[1]);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const take = () => tokens[pos++];
+
+  const expr = () => {
+    let v = term();
+    while (peek() === "+" || peek() === "-") v = take() === "+" ? v + term() : v - term();
+    return v;
+  };
+  const term = () => {
+    let v = unary();
+    while (["*", "x", "×", "/", "÷"].includes(peek())) {
+      const op = take();
+      const rhs = unary();
+      if ((op === "/" || op === "÷") && rhs === 0) throw new Error("Can't divide by zero");
+      v = (op === "/" || op === "÷") ? v / rhs : v * rhs;
+    }
+    return v;
+  };
+  const unary = () => {
+    if (peek() === "-") { take(); return -unary(); }
+    if (peek() === "half") {
+      take();
+      if (peek() === "of") take();
+      const t = peek();
+      return (t === undefined || /^[-+*/x×÷)]$/.test(t) ? target : unary()) / 2;
+    }
+    return primary();
+  };
+  const primary = () => {
+    const t = take();
+    if (t === undefined) throw new Error("Expression ends too early");
+    if (/^\d/.test(t)) return Number(t);
+    if (t === "target" || t === "lp") return target;
+    if (t === "(") {
+      const v = expr();
+      if (take() !== ")") throw new Error("Missing )");
+      return v;
+    }
+    throw new Error(/^[a-z]+$/.test(t) ? `Unknown word "${t}" (try: half, target, lp)` : `Unexpected "${t}"`);
+  };
+
+  const value = expr();
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos]}"`);
+  if (Number.isNaN(value)) return NaN;
+  if (value < 0) throw new Error(`Result is negative (${value}); use Damage / Heal for the direction`);
+  return Math.ceil(value);
+}
+
+function lpEntry(lp, player, kind, amount = 0, text = "") {
+  const entry = { player, kind, amount, before: { ...lp }, after: lpApply(lp, player, kind, amount), at: Date.now() };
+  if (text) entry.text = text;
+  return entry;
+}
+
+// One log line: "12:03:41  Player A  damage 1000  8000 → 7000"
+function lpEntryText(e, names = { A: "Player A", B: "Player B" }) {
+  const time = new Date(e.at).toLocaleTimeString();
+  if (e.kind === "note")  return `${time}  ${e.text}`;
+  if (e.kind === "reset") return `${time}  Reset  ${names.A} ${e.before.A} → ${e.after.A}, ${names.B} ${e.before.B} → ${e.after.B}`;
+  const calc = e.text ? ` (${e.text})` : "";
+  const what = {
+    damage: `damage ${e.amount}${calc}`,
+    heal:   `heal ${e.amount}${calc}`,
+    halve:  "halved",
+    set:    `set to ${e.amount}${calc}`,
+  }[e.kind] || e.kind;
+  return `${time}  ${names[e.player]}  ${what}  ${e.before[e.player]} → ${e.after[e.player]}`;
+}
+
+// Index of the entry undo would revert (last non-note, not past a locked one), or -1
+function lastUndoable(entries) {
+  for (let i = entries.length - 1; i >= 0; i--) {
+    if (entries[i].locked) return -1;
+    if (entries[i].kind !== "note") return i;
+  }
+  return -1;
+}
+
+function lpLogText(entries, names) {
+  const head = `Duel log — ${new Date(entries[0]?.at || Date.now()).toLocaleString()}`;
+  const last = entries.findLast(e => e.kind !== "note")?.after || { A: START_LP, B: START_LP };
+  return [
+    head,
+    ...entries.map(e => lpEntryText(e, names)),
+    `Final: ${names.A} ${last.A} • ${names.B} ${last.B}`,
+  ].join("\n") + "\n";
+}
+
+function loadDuel() {
+  const fresh = { lp: { A: START_LP, B: START_LP }, entries: [], undone: [] };
+  try {
+    const saved = JSON.parse(localStorage.getItem(DUEL_KEY) || "null");
+    return saved?.lp ? { ...fresh, ...saved } : fresh;
+  } catch (e) {
+    console.warn("Ignoring unreadable duel log", e);
+    return fresh;
+  }
+}
+
+function saveDuel(duel) {
+  localStorage.setItem(DUEL_KEY, JSON.stringify(duel));
+}
+
+// --- duel tools (pure) ---
+// tools: { turn, phase (index into DUEL_PHASES), counters: [{ name, count }] }
+
+const DUEL_PHASES = [
+  ["DP", "Draw Phase"], ["SP", "Standby Phase"], ["M1", "Main Phase 1"],
+  ["BP", "Battle Phase"], ["M2", "Main Phase 2"], ["EP", "End Phase"],
+];
+
+function loadDuelTools() {
+  const fresh = { turn: 1, phase: 0, counters: [] };
+  try {
+    const saved = JSON.parse(localStorage.getItem(TOOLS_KEY) || "null");
+    return saved ? { ...fresh, ...saved } : fresh;
+  } catch (e) {
+    console.warn("Ignoring unreadable duel tools", e);
+    return fresh;
+  }
+}
+
+function saveDuelTools(tools) {
+  localStorage.setItem(TOOLS_KEY, JSON.stringify(tools));
+}
+
+// End Phase → next turn's Draw Phase
+function nextPhase(tools) {
+  return tools.phase >= DUEL_PHASES.length - 1
+    ? { ...tools, turn: tools.turn + 1, phase: 0 }
+    : { ...tools, phase: tools.phase + 1 };
+}
+
+const rollDie  = () => 1 + Math.floor(Math.random() * 6);
+const flipCoin = () => (Math.random() < 0.5 ? "Heads" : "Tails");
+
 function wireLifePoints(root = document) {
   const wrap   = root.querySelector("#lpRoot");
   if (!wrap || wrap.dataset.wired) return;
@@ -333,25 +1179,105 @@ function wireLifePoints(root = document) {
   const mode   = wrap.querySelector("#lpMode");
   const reset  = wrap.querySelector("#lpReset");
   const input  = wrap.querySelector("#lpAmt");
-
-  let lpA = 8000, lpB = 8000;
+  const halve  = wrap.querySelector("#lpHalve");
+  const setBtn = wrap.querySelector("#lpSet");
+  const undo   = wrap.querySelector("#lpUndo");
+  const redo   = wrap.querySelector("#lpRedo");
+  const hint   = wrap.querySelector(".lp-hint");
+  const logEl  = root.querySelector("#lpLog");
+  const exportBtn = root.querySelector("#lpExport");
+
+  const duel = loadDuel();
   let isDamage = true; // Damage=subtract, Heal=add
+  let pendingOp = null; // "halve" | "set" → applies to the next tapped player
+  let lastPlayer = "A"; // last hovered/focused player (Enter + steppers use their LP as the target)
+
+  // Amount for a player (expressions may refer to their LP); throws on a bad expression
+  const readAmt = (player = lastPlayer) => evalLpExpr(input.value, duel.lp[player]) || 0;
+  const isPlainAmt = () => /^\s*\d*\s*$/.test(input.value);
+  const names   = () => ({
+    A: wrap.querySelector('.lp-player[data-player="A"] .lp-name')?.textContent.trim() || "Player A",
+    B: wrap.querySelector('.lp-player[data-player="B"] .lp-name')?.textContent.trim() || "Player B",
+  });
 
-  const clampLP = (v) => Math.max(0, Math.min(999999, v|0));
-  const readAmt = () => Math.max(0, Math.abs(parseInt(input.value || "0", 10) || 0));
-  const render  = () => { elA.textContent = lpA; elB.textContent = lpB; };
+  const render  = () => {
+    elA.textContent = duel.lp.A; elB.textContent = duel.lp.B;
+    if (undo) undo.disabled = lastUndoable(duel.entries) < 0;
+    if (redo) redo.disabled = !duel.undone.length;
+    if (logEl) {
+      const n = names();
+      logEl.innerHTML = duel.entries.length
+        ? duel.entries.map(e => `<li class="lp-log-${e.kind}">${escapeHtml(lpEntryText(e, n))}</li>`).join("")
+        : `<li class="muted">No life point changes yet.</li>`;
+      logEl.scrollTop = logEl.scrollHeight;
+    }
+  };
   render();
 
+  // Every change goes through here (logged, undoable, saved)
+  const record = (player, kind, amount, text, locked = false) => {
+    const entry = lpEntry(duel.lp, player, kind, amount, text);
+    if (locked) entry.locked = true;
+    duel.entries.push(entry);
+    duel.undone = [];
+    duel.lp = entry.after;
+    saveDuel(duel);
+    render();
+  };
+
+  // Log-only line (keeps the undo / redo stacks as they are)
+  const logNote = (text) => {
+    duel.entries.push(lpEntry(duel.lp, "both", "note", 0, text));
+    saveDuel(duel);
+    render();
+  };
+
+  const defaultHint = () => ({
+    halve: "Tap a player to halve their life points.",
+    set:   "Tap a player to set their life points to the amount above.",
+  }[pendingOp] || "Tap a player's life points to apply the amount above.");
+
+  // Live result / error for expressions typed into the amount box
+  const previewAmt = () => {
+    input.removeAttribute("aria-invalid");
+    if (!hint) return;
+    if (isPlainAmt()) { hint.textContent = defaultHint(); return; }
+    try {
+      const v = evalLpExpr(input.value);
+      hint.textContent = Number.isNaN(v) ? "= depends on the player you tap" : `= ${v}`;
+    } catch (e) {
+      input.setAttribute("aria-invalid", "true");
+      hint.textContent = e.message;
+    }
+  };
+
+  const armOp = (op) => {
+    pendingOp = (pendingOp === op) ? null : op;
+    halve ?.setAttribute("aria-pressed", pendingOp === "halve" ? "true" : "false");
+    setBtn?.setAttribute("aria-pressed", pendingOp === "set" ? "true" : "false");
+    if (hint) hint.textContent = defaultHint();
+  };
+
+  // Apply the current amount / armed operation to a player
+  const applyTo = (player) => {
+    let amt = 0;
+    if (pendingOp !== "halve") {
+      try { amt = readAmt(player); }
+      catch (e) { previewAmt(); return; }
+    }
+    const calc = isPlainAmt() ? "" : input.value.trim();
+    if (pendingOp) {
+      record(player, pendingOp, amt, pendingOp === "set" ? calc : "");
+      armOp(null);
+      return;
+    }
+    if (!amt) return;
+    record(player, isDamage ? "damage" : "heal", amt, calc);
+  };
+
   // Tap/click a player panel to apply amount
   wrap.querySelectorAll(".lp-player").forEach(panel => {
-    panel.addEventListener("click", () => {
-      const amt = readAmt();
-      if (!amt) return;
-      const toA = (panel.dataset.player === "A");
-      if (toA) lpA = clampLP(isDamage ? lpA - amt : lpA + amt);
-      else     lpB = clampLP(isDamage ? lpB - amt : lpB + amt);
-      render();
-    });
+    panel.addEventListener("click", () => applyTo(panel.dataset.player === "B" ? "B" : "A"));
   });
 
   // Presets
@@ -366,7 +1292,9 @@ function wireLifePoints(root = document) {
   steppers.forEach(b => {
     b.addEventListener("click", () => {
       const step = parseInt(b.dataset.step || "0", 10) || 0;
-      const next = Math.max(0, (parseInt(input.value || "0", 10) || 0) + step);
+      let cur = 0;
+      try { cur = readAmt(); } catch (e) { /* bad expression → step from 0 */ }
+      const next = Math.max(0, cur + step);
       input.value = next;
       input.dispatchEvent(new Event("input", { bubbles: true }));
     });
@@ -379,37 +1307,428 @@ function wireLifePoints(root = document) {
     mode.textContent = isDamage ? "Damage" : "Heal";
   });
 
-  // Reset
+  halve ?.addEventListener("click", () => armOp("halve"));
+  setBtn?.addEventListener("click", () => armOp("set"));
+
+  // Reset (logged too, so a mis-tapped reset can be undone)
   reset.addEventListener("click", () => {
-    lpA = 8000; lpB = 8000;
+    record("both", "reset", 0);
     input.value = "0";
     isDamage = true;
     mode.setAttribute("aria-pressed", "true");
     mode.textContent = "Damage";
+    armOp(null);
+    previewAmt();
+  });
+
+  // Undo / redo (buttons + Ctrl/Cmd+Z, Ctrl+Y / Ctrl+Shift+Z while the counter has focus)
+  const undoLast = () => {
+    const i = lastUndoable(duel.entries);
+    if (i < 0) return;
+    const [e] = duel.entries.splice(i, 1);
+    duel.undone.push(e);
+    duel.lp = { ...e.before };
+    saveDuel(duel);
+    render();
+  };
+  const redoLast = () => {
+    const e = duel.undone.pop();
+    if (!e) return;
+    const at = duel.entries.findIndex(x => x.at > e.at); // back in time order, among the notes
+    if (at < 0) duel.entries.push(e); else duel.entries.splice(at, 0, e);
+    duel.lp = { ...e.after };
+    saveDuel(duel);
     render();
+  };
+  undo?.addEventListener("click", undoLast);
+  redo?.addEventListener("click", redoLast);
+  wrap.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey)) return;
+    // Text fields (e.g. the LP expression box) keep their own Ctrl+Z
+    if (e.target.closest("input, textarea, select")) return;
+    const k = e.key.toLowerCase();
+    if (k === "z" && !e.shiftKey) { e.preventDefault(); undoLast(); }
+    else if (k === "y" || (k === "z" && e.shiftKey)) { e.preventDefault(); redoLast(); }
   });
 
+  // Export the log (.txt) for settling disputes after the duel
+  exportBtn?.addEventListener("click", () => {
+    if (!duel.entries.length) return;
+    const now = new Date();
+    const pad = (x) => String(x).padStart(2, "0");
+    const stamp = `${now.getFullYear()}${pad(now.getMonth()+1)}${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}`;
+    downloadFile(`duel-log-${stamp}.txt`, lpLogText(duel.entries, names()));
+  });
+
+  input.addEventListener("input", previewAmt);
+
   // Enter in amount applies to last-hovered/last-focused player (defaults to A)
-  let lastPlayer = "A";
   wrap.querySelectorAll(".lp-player").forEach(p => {
     const set = () => { lastPlayer = p.dataset.player === "B" ? "B" : "A"; };
     p.addEventListener("focus", set);
     p.addEventListener("mouseenter", set);
   });
   input.addEventListener("keydown", (e) => {
-    if (e.key === "Enter") {
-      const amt = readAmt();
-      if (!amt) return;
-      if (lastPlayer === "A") lpA = clampLP(isDamage ? lpA - amt : lpA + amt);
-      else                    lpB = clampLP(isDamage ? lpB - amt : lpB + amt);
-      render();
+    if (e.key === "Enter") applyTo(lastPlayer);
+  });
+
+  // Hooks for match mode (and anything else that writes to the duel log)
+  wrap.logNote     = logNote;
+  wrap.resetLife   = () => record("both", "reset", 0, "", true); // between games: not undoable
+  wrap.currentLife = () => ({ ...duel.lp });
+  wrap.refreshLog  = render;
+}
+
+function wireDuelTools(root = document) {
+  const box = root.querySelector("#lpTools");
+  const lp  = root.querySelector("#lpRoot");
+  if (!box || box.dataset.wired) return;
+  box.dataset.wired = "1";
+
+  const result   = box.querySelector("#toolResult");
+  const turnEl   = box.querySelector("#toolTurn");
+  const phasesEl = box.querySelector("#toolPhases");
+  const listEl   = box.querySelector("#toolCounters");
+  const form     = box.querySelector("#toolCounterForm");
+  const nameIn   = box.querySelector("#toolCounterName");
+
+  let tools = loadDuelTools();
+  const note = (text) => lp?.logNote?.(text);
+
+  const render = () => {
+    turnEl.textContent = `Turn ${tools.turn}`;
+    phasesEl.innerHTML = DUEL_PHASES.map(([short, long], i) => `
+      <button type="button" class="lp-btn phase" data-phase="${i}" title="${long}" aria-pressed="${i === tools.phase}">${short}</button>
+    `).join("");
+    listEl.innerHTML = tools.counters.map((c, i) => `
+      <li>
+        <span class="tool-counter-name">${escapeHtml(c.name)}</span>
+        <button type="button" class="lp-btn" data-counter="${i}" data-delta="-1" aria-label="Remove one ${escapeHtml(c.name)}">−</button>
+        <strong>${c.count}</strong>
+        <button type="button" class="lp-btn" data-counter="${i}" data-delta="1" aria-label="Add one ${escapeHtml(c.name)}">+</button>
+        <button type="button" class="btn btn-sm" data-counter-remove="${i}">Remove</button>
+      </li>
+    `).join("");
+  };
+  const update = (next, text) => {
+    tools = next;
+    saveDuelTools(tools);
+    render();
+    if (text) note(text);
+  };
+  const phaseText = (t) => `Turn ${t.turn} — ${DUEL_PHASES[t.phase][1]}`;
+  render();
+
+  box.addEventListener("click", (e) => {
+    const btn = e.target.closest("button");
+    if (!btn || !box.contains(btn)) return;
+
+    if (btn.id === "toolDie") {
+      const n = rollDie();
+      result.textContent = `🎲 ${n}`;
+      note(`Die roll: ${n}`);
+    } else if (btn.id === "toolCoin") {
+      const side = flipCoin();
+      result.textContent = `🪙 ${side}`;
+      note(`Coin flip: ${side}`);
+    } else if (btn.id === "toolNextPhase") {
+      const next = nextPhase(tools);
+      update(next, phaseText(next));
+    } else if (btn.dataset.turn) {
+      const turn = Math.max(1, tools.turn + Number(btn.dataset.turn));
+      if (turn !== tools.turn) update({ ...tools, turn, phase: 0 }, phaseText({ turn, phase: 0 }));
+    } else if (btn.dataset.phase) {
+      const phase = Number(btn.dataset.phase);
+      if (phase !== tools.phase) update({ ...tools, phase }, phaseText({ ...tools, phase }));
+    } else if (btn.dataset.counter) {
+      const i = Number(btn.dataset.counter);
+      const c = tools.counters[i];
+      const count = Math.max(0, c.count + Number(btn.dataset.delta));
+      if (count === c.count) return;
+      const counters = tools.counters.map((x, j) => (j === i ? { ...x, count } : x));
+      update({ ...tools, counters }, `${c.name}: ${c.count} → ${count}`);
+    } else if (btn.dataset.counterRemove) {
+      const i = Number(btn.dataset.counterRemove);
+      const c = tools.counters[i];
+      update({ ...tools, counters: tools.counters.filter((_, j) => j !== i) }, `Removed counter ${c.name} (${c.count})`);
+    } else if (btn.id === "toolClear") {
+      if (!confirm("Reset the turn, phase and all counters?")) return;
+      update({ turn: 1, phase: 0, counters: [] }, "Duel tools reset (turn 1, no counters)");
     }
   });
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const name = nameIn.value.trim();
+    if (!name) return;
+    nameIn.value = "";
+    update({ ...tools, counters: [...tools.counters, { name, count: 0 }] }, `Added counter ${name}`);
+  });
 }
 
 /* ===== END: LIFE POINT COUNTER ===== */
 
 
+/* =========================
+   7b) MATCH MODE (names, best-of-N, who went first, round timer + overtime)
+   match: { names: {A, B}, bestOf, minutes, overtimeTurns,
+            games: [{ first, winner: "A"|"B"|"draw"|null, lp?, endedAt? }],
+            timer: { elapsed, startedAt }, overtimeTurn: null|0..N, over, startedAt }
+   The timer is stored as timestamps, so it keeps counting through reloads / a locked phone.
+========================= */
+
+const MATCH_DEFAULTS = { names: { A: "Player A", B: "Player B" }, bestOf: 3, minutes: 40, overtimeTurns: 3 };
+
+function newMatch({ names = MATCH_DEFAULTS.names, bestOf = 3, minutes = 40, overtimeTurns = 3 } = {}) {
+  return {
+    names: { A: names.A || "Player A", B: names.B || "Player B" },
+    bestOf, minutes, overtimeTurns,
+    games: [{ first: null, winner: null }],
+    timer: { elapsed: 0, startedAt: null },
+    overtimeTurn: null,
+    over: false,
+    startedAt: Date.now(),
+  };
+}
+
+function loadMatch() {
+  try {
+    return JSON.parse(localStorage.getItem(MATCH_KEY) || "null");
+  } catch (e) {
+    console.warn("Ignoring unreadable match", e);
+    return null;
+  }
+}
+
+function saveMatch(match) {
+  if (match) localStorage.setItem(MATCH_KEY, JSON.stringify(match));
+  else       localStorage.removeItem(MATCH_KEY);
+}
+
+const currentGame = (match) => match.games[match.games.length - 1];
+const winsNeeded  = (match) => Math.floor(match.bestOf / 2) + 1;
+
+function matchWins(match) {
+  const wins = { A: 0, B: 0 };
+  match.games.forEach(g => { if (g.winner === "A" || g.winner === "B") wins[g.winner]++; });
+  return wins;
+}
+
+// "A" | "B" | "draw" once the match is decided, else null
+function matchResult(match) {
+  const wins = matchWins(match);
+  if (wins.A >= winsNeeded(match)) return "A";
+  if (wins.B >= winsNeeded(match)) return "B";
+  if (!match.over) return null;
+  return wins.A === wins.B ? "draw" : (wins.A > wins.B ? "A" : "B");
+}
+
+const timerElapsed   = (timer, now = Date.now()) => timer.elapsed + (timer.startedAt ? now - timer.startedAt : 0);
+const timerRemaining = (match, now = Date.now()) => match.minutes * 60000 - timerElapsed(match.timer, now);
+
+// 2405000 → "40:05"
+function fmtClock(ms) {
+  const t = Math.max(0, Math.ceil(ms / 1000));
+  return `${String(Math.floor(t / 60)).padStart(2, "0")}:${String(t % 60).padStart(2, "0")}`;
+}
+
+// End the current game; after time is called no new game starts (match ends)
+function recordGame(match, winner, lp) {
+  Object.assign(currentGame(match), { winner, lp: { ...lp }, endedAt: Date.now() });
+  if (match.overtimeTurn !== null) match.over = true;
+  if (matchResult(match) || match.over || match.games.length >= match.bestOf) {
+    match.over = true;
+    match.timer = { elapsed: timerElapsed(match.timer), startedAt: null };
+  } else {
+    match.games.push({ first: null, winner: null });
+  }
+  return match;
+}
+
+function matchSetupBlock() {
+  const d = MATCH_DEFAULTS;
+  return `
+    <form class="match-setup" id="matchSetup">
+      <strong>Match mode</strong>
+      <label>Player A <input type="text" id="mName1" value="" placeholder="${d.names.A}"></label>
+      <label>Player B <input type="text" id="mName2" value="" placeholder="${d.names.B}"></label>
+      <label>Best of
+        <select id="mBestOf">${[1, 3, 5].map(n => `<option value="${n}"${n === d.bestOf ? " selected" : ""}>${n}</option>`).join("")}</select>
+      </label>
+      <label>Round <input type="number" id="mMinutes" min="1" max="180" value="${d.minutes}"> min</label>
+      <label>Overtime <input type="number" id="mOvertime" min="0" max="10" value="${d.overtimeTurns}"> turns</label>
+      <button type="submit" class="btn btn-sm primary">Start match</button>
+    </form>
+  `;
+}
+
+function matchBlock(match) {
+  const n = match.names;
+  const name = (p) => escapeHtml(n[p]);
+  const wins = matchWins(match);
+  const game = currentGame(match);
+  const result = matchResult(match);
+  const running = !!match.timer.startedAt;
+
+  const games = match.games.filter(g => g.winner).map((g, i) => `
+    <li>Game ${i + 1}: ${g.winner === "draw" ? "Draw" : `${name(g.winner)} won`}
+      <span class="muted">(${g.first ? `${name(g.first)} went first` : "first player not set"}${g.lp ? ` • ${g.lp.A}–${g.lp.B}` : ""})</span></li>
+  `).join("");
+
+  const overtime = match.overtimeTurn === null ? "" : match.overtimeTurn > match.overtimeTurns
+    ? `<p class="match-overtime">Overtime over — <button type="button" class="btn btn-sm" data-match="by-lp">Decide game by LP</button></p>`
+    : `<p class="match-overtime">Time! Overtime turn <strong>${match.overtimeTurn}</strong> of ${match.overtimeTurns}
+        <button type="button" class="btn btn-sm" data-match="next-turn">Next turn</button></p>`;
+
+  return `
+    <div class="match-board">
+      <div class="match-score">
+        <span>${name("A")}</span>
+        <strong>${wins.A} – ${wins.B}</strong>
+        <span>${name("B")}</span>
+      </div>
+      <div class="match-timer${timerRemaining(match) <= 0 ? " is-overtime" : ""}">
+        <span id="matchClock">${fmtClock(timerRemaining(match))}</span>
+        ${result ? "" : `<button type="button" class="btn btn-sm" data-match="timer">${running ? "Pause" : "Start"} timer</button>`}
+      </div>
+    </div>
+    ${overtime}
+    ${result ? `
+      <p class="match-result"><strong>${result === "draw" ? "Match drawn" : `${name(result)} wins the match`}</strong> (${wins.A}–${wins.B})</p>
+    ` : `
+      <p>Game ${match.games.length} of best of ${match.bestOf}${match.overtimeTurn !== null ? " (last game: time was called)" : ""}</p>
+      ${game.first ? `<p class="muted">${name(game.first)} went first.</p>` : `
+        <p>Who goes first?
+          <button type="button" class="btn btn-sm" data-match="first" data-player="A">${name("A")}</button>
+          <button type="button" class="btn btn-sm" data-match="first" data-player="B">${name("B")}</button>
+        </p>`}
+      <p>Game result:
+        <button type="button" class="btn btn-sm" data-match="win" data-player="A">${name("A")} wins</button>
+        <button type="button" class="btn btn-sm" data-match="win" data-player="B">${name("B")} wins</button>
+        <button type="button" class="btn btn-sm" data-match="win" data-player="draw">Draw</button>
+      </p>
+    `}
+    ${games ? `<ol class="match-games">${games}</ol>` : ""}
+    <button type="button" class="btn btn-sm" data-match="end">${result ? "New match" : "End match"}</button>
+  `;
+}
+
+function wireMatch(root = document) {
+  const panel = root.querySelector("#lpMatch");
+  const lp    = root.querySelector("#lpRoot");
+  if (!panel || panel.dataset.wired) return;
+  panel.dataset.wired = "1";
+
+  let match = loadMatch();
+  let ticker = null;
+  const note = (text) => lp?.logNote?.(text);
+
+  // Player names on the counter (duel log picks them up from there)
+  const applyNames = () => {
+    ["A", "B"].forEach(p => {
+      const btn = lp?.querySelector(`.lp-player[data-player="${p}"]`);
+      const name = match?.names[p] || MATCH_DEFAULTS.names[p];
+      if (!btn) return;
+      btn.querySelector(".lp-name").textContent = name;
+      btn.setAttribute("aria-label", `Apply to ${name}`);
+    });
+    lp?.refreshLog?.();
+  };
+
+  const render = () => {
+    panel.innerHTML = match ? matchBlock(match) : matchSetupBlock();
+    applyNames();
+    syncTicker();
+  };
+
+  const save = () => { saveMatch(match); render(); };
+
+  // Once per second while the round timer runs: clock text + time call
+  const tick = () => {
+    if (!match) return;
+    const left = timerRemaining(match);
+    const clock = panel.querySelector("#matchClock");
+    if (clock) clock.textContent = fmtClock(left);
+    if (left <= 0 && match.overtimeTurn === null && !matchResult(match)) {
+      match.overtimeTurn = 0;
+      match.timer = { elapsed: timerElapsed(match.timer), startedAt: null };
+      note(`Time called — overtime (turn 0 + ${match.overtimeTurns})`);
+      save();
+    }
+  };
+  function syncTicker() {
+    const running = !!match?.timer.startedAt;
+    if (running && !ticker) ticker = setInterval(tick, 1000);
+    if (!running && ticker) { clearInterval(ticker); ticker = null; }
+  }
+
+  panel.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const q = (sel) => panel.querySelector(sel);
+    match = newMatch({
+      names: { A: q("#mName1").value.trim(), B: q("#mName2").value.trim() },
+      bestOf: Number(q("#mBestOf").value) || 3,
+      minutes: Math.max(1, Number(q("#mMinutes").value) || MATCH_DEFAULTS.minutes),
+      overtimeTurns: Math.max(0, Number(q("#mOvertime").value) || 0),
+    });
+    lp?.resetLife?.();
+    note(`Match started: ${match.names.A} vs ${match.names.B} (best of ${match.bestOf}, ${match.minutes} min)`);
+    save();
+  });
+
+  panel.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-match]");
+    if (!btn || !match) return;
+    const who = btn.dataset.player;
+    const names = match.names;
+
+    switch (btn.dataset.match) {
+      case "first":
+        currentGame(match).first = who;
+        note(`Game ${match.games.length}: ${names[who]} goes first`);
+        break;
+      case "win": {
+        const label = who === "draw" ? "a draw" : `a win for ${names[who]}`;
+        if (!confirm(`Record game ${match.games.length} as ${label}?`)) return;
+        note(`Game ${match.games.length}: ${who === "draw" ? "draw" : `${names[who]} wins`}`);
+        recordGame(match, who, lp?.currentLife?.() || { A: START_LP, B: START_LP });
+        const result = matchResult(match);
+        if (result) note(result === "draw" ? "Match drawn" : `Match: ${names[result]} wins ${matchWins(match).A}–${matchWins(match).B}`);
+        else lp?.resetLife?.();
+        break;
+      }
+      case "timer":
+        match.timer = match.timer.startedAt
+          ? { elapsed: timerElapsed(match.timer), startedAt: null }
+          : { elapsed: match.timer.elapsed, startedAt: Date.now() };
+        break;
+      case "next-turn":
+        match.overtimeTurn++;
+        note(match.overtimeTurn > match.overtimeTurns ? "Overtime over" : `Overtime turn ${match.overtimeTurn}`);
+        break;
+      case "by-lp": {
+        const life = lp?.currentLife?.() || { A: START_LP, B: START_LP };
+        const winner = life.A === life.B ? "draw" : (life.A > life.B ? "A" : "B");
+        note(`Game ${match.games.length} decided by LP (${life.A}–${life.B}): ${winner === "draw" ? "draw" : `${names[winner]} wins`}`);
+        recordGame(match, winner, life);
+        const result = matchResult(match);
+        note(result === "draw" ? "Match drawn" : `Match: ${names[result]} wins ${matchWins(match).A}–${matchWins(match).B}`);
+        break;
+      }
+      case "end":
+        if (!matchResult(match) && !confirm("End this match? The score and timer will be cleared.")) return;
+        match = null;
+        break;
+    }
+    save();
+  });
+
+  render();
+}
+
+/* ===== END: MATCH MODE ===== */
+
+
 /* =========================
    8) RENDERING (cards, sections, deck, hand grid)
 ========================= */
@@ -420,9 +1739,9 @@ function smallInfo(card) {
   if (card.level != null)      inline.push(`⭐ ${card.level}`);
   else if (card.rank != null)  inline.push(`⤴️ ${card.rank}`);
   else if (card.link != null)  inline.push(`🔗 ${card.link}`);
-  if (card.subtype) inline.push(String(card.subtype).toUpperCase());
-  if (card.attribute) inline.push(card.attribute.toUpperCase());
-  if (card.requirements) req.push(`<em>"${card.requirements}"</em>`);
+  if (card.subtype) inline.push(escapeHtml(String(card.subtype).toUpperCase()));
+  if (card.attribute) inline.push(escapeHtml(String(card.attribute).toUpperCase()));
+  if (card.requirements) req.push(`<em>"${escapeHtml(card.requirements)}"</em>`);
   if (card.atk != null && card.def != null) below.push(`⚔️ ${card.atk} / 🛡️ ${card.def}`);
   else if (card.atk != null)                below.push(`⚔️ ${card.atk}`);
 
@@ -433,49 +1752,63 @@ function smallInfo(card) {
   return html ? `<small>${html}</small>` : "";
 }
 
+// Small image for a full YGOPRODeck URL (/images/cards/ → /images/cards_small/)
+const thumbSrc = (full) => (typeof full === "string" && full.includes("/images/cards/"))
+  ? full.replace("/images/cards/", "/images/cards_small/")
+  : full;
+
 // One card tile
 function cardItem(card) {
   const qty   = Number(card.qty) || 1;
-  const full  = card.img || "../assets/back.jpg";
-  const thumb = (typeof full === "string" && full.includes("/images/cards/"))
-    ? full.replace("/images/cards/", "/images/cards_small/")
-    : full;
+  const full  = card.img || CARD_BACK;
+  const thumb = thumbSrc(full);
 
-  const typeDisplay = joinSlash(asArray(card.type));
-  const title = `${card.name} ×${qty}`;
+  const name  = escapeHtml(card.name);
+  const typeDisplay = escapeHtml(joinSlash(asArray(card.type)));
+  const title = `${name} ×${qty}`;
+  const limit = banlistLimitOf(card);
+  const limitBadge = (limit != null)
+    ? `<span class="limit-badge limit-${limit}" title="${LIMIT_LABELS[limit]}">${limit}</span>`
+    : "";
 
   return `
-    <li class="card-tile" title="${title}">
+    <li class="card-tile" title="${title}" data-key="${escapeHtml(cardKey(card))}">
       <div class="thumb">
-        <img class="card-img" src="${thumb}" data-fullsrc="${full}" alt="${card.name}" loading="lazy">
+        <img class="card-img" src="${escapeHtml(thumb)}" data-fullsrc="${escapeHtml(full)}" alt="${name}" loading="lazy">
         <span class="qty">×${qty}</span>
+        ${limitBadge}
       </div>
       <div class="meta">
-        <strong>${card.name}</strong>
+        <strong>${name}</strong>
         <div>${typeDisplay}</div>
         ${smallInfo(card)}
       </div>
+      ${EDIT_MODE ? editControls() : ""}
     </li>
   `;
 }
 
 // One deck section (collapsible) — with “remaining qty” projection applied
-function sectionBlock(label, cards, collapsed = false) {
+function sectionBlock(label, cards, collapsed = false, key = "") {
   const visible = projectCardsForDisplay(cards);
   if (!visible || !visible.length) return "";
   const count = sumQty(visible);
   const cls   = collapsed ? " is-collapsed" : "";
   const show  = collapsed ? 'style="display:none"' : "";
+  const groups = groupCards(sortCards(visible, DECK_VIEW.sort), DECK_VIEW.group);
 
   return `
-    <section class="deck-section${cls}">
+    <section class="deck-section${cls}" data-section="${key}">
       <button class="deck-toggle" type="button" aria-expanded="${collapsed ? "false" : "true"}">
         ${label} <span class="count">(${count})</span>
       </button>
       <div class="deck-content">
-        <ul class="card-grid" ${show}>
-          ${visible.map(cardItem).join("")}
-        </ul>
+        ${groups.map(g => `
+          ${g.label != null ? `<h3 class="card-group-title">${escapeHtml(g.label)} <span class="count">(${sumQty(g.cards)})</span></h3>` : ""}
+          <ul class="card-grid" ${show}>
+            ${g.cards.map(cardItem).join("")}
+          </ul>
+        `).join("")}
       </div>
     </section>
   `;
@@ -492,14 +1825,23 @@ function handTesterBlock() {
           <label><input type="checkbox" id="htIncludeExtra"> Include Extra</label>
         </div>
         <div class="controls">
-          <button type="button" class="btn btn-sm" id="htDraw5">Draw 5</button>
-          <button type="button" class="btn btn-sm" id="htDraw6">Draw 6</button>
-          <button type="button" class="btn btn-sm" id="htPlus1">+1</button>
+          <button type="button" class="btn btn-sm" id="htDraw5" title="Open 5 cards">Going First (5)</button>
+          <button type="button" class="btn btn-sm" id="htDraw6" title="Open 5 cards + the turn-1 draw">Going Second (6)</button>
+          <button type="button" class="btn btn-sm" id="htNextTurn" title="Draw Phase of your next turn">Draw Next Turn</button>
+          <button type="button" class="btn btn-sm" id="htPlus1" title="Extra draw (card effect)">+1</button>
           <button type="button" class="btn btn-sm" id="htShuffle">Reshuffle</button>
           <button type="button" class="btn btn-sm" id="htClear">Clear</button>
-          <button type="button" class="btn btn-sm" id="htSave">Save Hand (.txt)</button>
+          <button type="button" class="btn btn-sm" id="htSaveLocal">Save Hand…</button>
+          <button type="button" class="btn btn-sm" id="htHistory">Saved Hands</button>
+          <button type="button" class="btn btn-sm" id="htSave">Hand .TXT</button>
+          <button type="button" class="btn btn-sm" id="htGoldfish">Goldfish</button>
         </div>
       </header>
+      <div class="ht-seed">
+        <label>Seed <input type="text" id="htSeed" size="10" spellcheck="false" autocomplete="off" aria-describedby="htSeedHelp"></label>
+        <button type="button" class="btn btn-sm" id="htReplay">Replay</button>
+        <span class="muted" id="htSeedHelp">Same seed + same deck = same shuffle. Paste a seed and Replay to re-create a hand.</span>
+      </div>
       <ul class="card-grid hand-grid" id="handList"></ul>
       <div class="stats">Hand: 0 • Deck remaining: 0 • Total pool: 0</div>
     </section>
@@ -512,9 +1854,10 @@ function render(deck) {
   if (!root) return;
 
   const deckStyle = deck.deckstyle || "Unknown Style";
-  const main  = deck.sections?.main  ?? [];
-  const extra = deck.sections?.extra ?? [];
-  const side  = deck.sections?.side  ?? [];
+  const view  = sidedDeck(deck); // post-side lists when a side plan is applied
+  const main  = view.sections?.main  ?? [];
+  const extra = view.sections?.extra ?? [];
+  const side  = view.sections?.side  ?? [];
   const total = sumQty(main) + sumQty(extra) + sumQty(side);
 
   root.innerHTML = `
@@ -522,14 +1865,25 @@ function render(deck) {
       <div class="deck-header-actions">
         <button id="collapseAllBtn" class="btn btn-sm" type="button">Collapse All</button>
         <button id="expandAllBtn"   class="btn btn-sm" type="button">Expand All</button>
+        <button id="editDeckBtn"    class="btn btn-sm" type="button" aria-pressed="${EDIT_MODE}">${EDIT_MODE ? "Done Editing" : "Edit Deck"}</button>
       </div>
 
-      <h1>${deck.name || "Deck"}</h1>
-      <p class="muted">Author: ${deck.author || "Unknown"} • Total: ${total} • Style: ${deckStyle}</p>
+      <h1>${escapeHtml(deck.name || "Deck")}</h1>
+      <p class="muted deck-meta">${WORKING_DECK ? `<span class="edited-flag">Edited locally</span> • ` : ""}Author: ${escapeHtml(deck.author || "Unknown")} • Total: ${total} • Style: ${escapeHtml(deckStyle)}</p>
+      ${importReportBlock()}
+      ${schemaIssuesBlock(deck)}
+
+      <div class="legality-row">
+        <label class="banlist-picker">Banlist:
+          <select id="banlistSelect" aria-label="Forbidden & Limited list">${banlistOptions()}</select>
+        </label>
+        ${legalityBlock(view)}
+      </div>
 
       <div class="deck-controls" id="deckControls">
         <!-- Filters -->
-        <input id="filterText" type="search" placeholder="Filter cards… (name, type, attribute)" aria-label="Filter cards" />
+        <input id="filterText" type="search" placeholder='Filter cards… e.g. attr:dark type:tuner atk<=1000 -fn:brick "special summon"' aria-label="Filter cards" aria-describedby="filterError" title="Fields: name, fn, type, arch, attr, text, atk, def, level, rank, link (atk>=2000, level:3..4). Combine with AND / OR / NOT (-) and ( )." />
+        <p class="filter-error" id="filterError" role="alert" hidden></p>
         <div class="toggle" role="group" aria-label="Card kinds">
           <label><input type="checkbox" id="kindMonster" checked> Monster</label>
           <label><input type="checkbox" id="kindSpell"   checked> Spell</label>
@@ -542,24 +1896,76 @@ function render(deck) {
         <button class="btn btn-sm btn-clear" id="filterClear" type="button">Clear Filter</button>
       </div>
 
+      ${viewControlsBlock()}
+
+      ${EDIT_MODE ? deckEditorBlock(deck) : ""}
+
       <div class="export-controls">
         <button id="btnExportYdk" class="btn btn-sm" type="button">Export .YDK</button>
         <button id="btnExportTxt" class="btn btn-sm" type="button">Export .TXT</button>
+        <button id="btnExportImage" class="btn btn-sm" type="button">Export Image…</button>
+        <button id="btnExportJson" class="btn btn-sm" type="button">Export .JSON</button>
         <input id="importYdkInput" type="file" accept=".ydk,text/plain" hidden>
         <button id="btnImportYdk" class="btn btn-sm" type="button">Import .YDK</button>
+        <button id="btnCopyYdke" class="btn btn-sm" type="button">Copy ydke://</button>
+        <button id="btnImportYdke" class="btn btn-sm" type="button">Paste ydke://</button>
+        <button id="btnImportTxt" class="btn btn-sm" type="button">Import .TXT</button>
+        <button id="btnProxies" class="btn btn-sm" type="button">Print Proxies…</button>
       </div>
     </header>
 
-    ${handTesterBlock()}
+    <div class="tester-row">
+      ${handTesterBlock()}
+      ${oddsCalcBlock(view)}
+    </div>
 
-    ${sectionBlock("Main Deck",  main)}
-    ${sectionBlock("Extra Deck", extra)}
-    ${sectionBlock("Side Deck",  side)}
+    ${statsBlock()}
+
+    ${simulatorBlock()}
+
+    ${sidePlansBlock()}
+
+    ${sectionBlock("Main Deck",  main, false, "main")}
+    ${sectionBlock("Extra Deck", extra, false, "extra")}
+    ${sectionBlock("Side Deck",  side, false, "side")}
   `;
 
   // Wire everything for this render, scoped to this root.
   wireUI(root, deck);
   wireHandTester(root, deck);
+  wireOddsCalc(root, deck);
+  wireSimulator(root, deck);
+  wireDeckEditor(root, deck);
+  wireSidePlans(root, deck);
+  wireViewControls(root, deck);
+  wireStats(root);
+}
+
+// Simple modal overlay (Esc / backdrop / × close). Returns the panel with .close()
+function openModal(title, bodyHtml) {
+  const overlay = document.createElement("div");
+  overlay.className = "modal";
+  overlay.innerHTML = `
+    <div class="modal-panel" role="dialog" aria-modal="true" aria-label="${escapeHtml(title)}">
+      <header class="modal-header">
+        <strong>${escapeHtml(title)}</strong>
+        <button type="button" class="modal-close" aria-label="Close">×</button>
+      </header>
+      <div class="modal-body">${bodyHtml}</div>
+    </div>
+  `;
+  const panel = overlay.querySelector(".modal-panel");
+  const onKey = (e) => { if (e.key === "Escape") close(); };
+  function close() {
+    document.removeEventListener("keydown", onKey);
+    overlay.remove();
+  }
+  overlay.addEventListener("click", (e) => { if (e.target === overlay) close(); });
+  overlay.querySelector(".modal-close").addEventListener("click", close);
+  document.addEventListener("keydown", onKey);
+  document.body.appendChild(overlay);
+  panel.close = close;
+  return panel;
 }
 
 /* ===== END: RENDERING ===== */
@@ -573,7 +1979,13 @@ function render(deck) {
 function readFilters(root = document) {
   const q = (sel) => root.querySelector(sel);
 
-  const text = norm(q("#filterText")?.value || "");
+  // Query syntax (see CARD QUERIES); a bad query filters nothing and reports why
+  let query = null, queryError = "";
+  try {
+    query = parseQuery(q("#filterText")?.value || "", { bareField: "text", counts: false });
+  } catch (e) {
+    queryError = e.message;
+  }
   const kinds = {
     Monster: q("#kindMonster")?.checked !== false,
     Spell:   q("#kindSpell")?.checked   !== false,
@@ -583,7 +1995,7 @@ function readFilters(root = document) {
   const levelMax = Number(q("#levelMax")?.value) || null;
   const fnTag    = norm(q("#functionFilter")?.value || "");
 
-  return { text, kinds, levelMin, levelMax, fnTag };
+  return { query, queryError, kinds, levelMin, levelMax, fnTag };
 }
 
 // Card predicate against current filters
@@ -610,15 +2022,7 @@ function cardMatches(card, f) {
     if (!tags.includes(f.fnTag)) return false;
   }
 
-  if (f.text) {
-    const hay = [
-      card.name,
-      typesArrToString(card.type),
-      card.attribute,
-      card.desc,
-    ].map(norm).join(" ");
-    if (!hay.includes(f.text)) return false;
-  }
+  if (f.query && !handMatches(f.query, [card])) return false;
 
   return true;
 }
@@ -637,34 +2041,39 @@ function makeFilteredDeck(deck, f) {
   };
 }
 
+// Inline feedback under the filter box
+function showQueryError(root, message) {
+  const input = root.querySelector("#filterText");
+  const out   = root.querySelector("#filterError");
+  if (input) input.setAttribute("aria-invalid", message ? "true" : "false");
+  if (out) { out.textContent = message; out.hidden = !message; }
+}
+
 // Debounce utility
 function debounce(fn, ms = 150) {
   let t = null;
   return (...args) => { clearTimeout(t); t = setTimeout(() => fn(...args), ms); };
 }
 
-// Only re-render sections (keep header + tester intact)
+// Only re-render sections (keep header + tester panels intact)
 function refreshSections(root, deck) {
   const base = activeDeck() || deck || CURRENT_DECK;
-  const filtered = makeFilteredDeck(base, readFilters(root));
+  const filters = readFilters(root);
+  const filtered = makeFilteredDeck(sidedDeck(base), filters);
+  showQueryError(root, filters.queryError);
 
-  // Keep header + tester
-  const headerEl = root.querySelector(".deck-header");
-  const testerEl = root.querySelector("#handTester");
-
-  root.innerHTML = "";
-  if (headerEl) root.appendChild(headerEl);
-  if (testerEl) root.appendChild(testerEl);
+  root.querySelectorAll(":scope > .deck-section").forEach(sec => sec.remove());
 
   root.insertAdjacentHTML("beforeend", `
-    ${sectionBlock("Main Deck",  filtered.sections.main)}
-    ${sectionBlock("Extra Deck", filtered.sections.extra)}
-    ${sectionBlock("Side Deck",  filtered.sections.side)}
+    ${sectionBlock("Main Deck",  filtered.sections.main, false, "main")}
+    ${sectionBlock("Extra Deck", filtered.sections.extra, false, "extra")}
+    ${sectionBlock("Side Deck",  filtered.sections.side, false, "side")}
   `);
 
   // Re-wire just in case new nodes appeared
   wireUI(root, base);
   wireHandTester(root, base);
+  refreshStats(root);
 }
 
 /* ===== END: FILTERING ===== */
@@ -684,23 +2093,57 @@ function expandSection(list) {
   return out;
 }
 
-// Pure shuffle (Fisher–Yates)
-function shuffle(arr) {
+// 32-bit FNV-1a hash of a string
+function hashText(text) {
+  let h = 0x811c9dc5;
+  for (const ch of String(text)) h = Math.imul(h ^ ch.codePointAt(0), 0x01000193);
+  return h;
+}
+
+// Seeded PRNG (hash of the seed text → mulberry32): same seed, same sequence
+function makeRng(seed) {
+  let a = hashText(seed);
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Short random seed, e.g. "k3x9q2"
+const randomSeed = () => Math.random().toString(36).slice(2, 8).padEnd(6, "0");
+
+// Pure shuffle (Fisher–Yates); pass a seeded rng for a reproducible order
+function shuffle(arr, rng = Math.random) {
   const a = arr.slice();
   for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(rng() * (i + 1));
     [a[i], a[j]] = [a[j], a[i]];
   }
   return a;
 }
 
-// Build a fresh draw state from a deck & toggle options
-function makeDrawState(deck, { includeSide = false, includeExtra = false } = {}) {
+// Opening hand sizes per play order (going second = 5 + the turn-1 draw)
+const OPENING_SIZE = { first: 5, second: 6 };
+
+/**
+ * Build a fresh draw state from a deck & toggle options.
+ * The shuffle comes from `seed` (random when omitted), or from a shared `rng` (simulator runs).
+ */
+function makeDrawState(deck, { includeSide = false, includeExtra = false, seed = randomSeed(), rng = null } = {}) {
   const main  = expandSection(deck.sections?.main);
   const side  = includeSide  ? expandSection(deck.sections?.side)  : [];
   const extra = includeExtra ? expandSection(deck.sections?.extra) : [];
   const pool = [...main, ...side, ...extra];
-  return { deck: shuffle(pool), hand: [] };
+  return { deck: shuffle(pool, rng || makeRng(seed)), hand: [], seed, going: "first", turn: 0 };
+}
+
+// "Going first • Your turn 2 (game turn 3)"; turn 0 = nothing dealt yet
+function turnLabel(state) {
+  if (!state.turn) return "";
+  const game = state.going === "second" ? state.turn * 2 : state.turn * 2 - 1;
+  return `Going ${state.going} • Your turn ${state.turn} (game turn ${game})`;
 }
 
 // Render the current hand grid + stats
@@ -713,23 +2156,22 @@ function renderHandInto(root, state) {
     ul.innerHTML = `<li class="muted" style="list-style:none;margin:0.25rem 0;">No cards drawn.</li>`;
   } else {
     ul.innerHTML = state.hand.map(c => {
-      const full  = c.img || "../assets/back.jpg";
-      const thumb = (typeof full === "string" && full.includes("/images/cards/"))
-        ? full.replace("/images/cards/", "/images/cards_small/")
-        : full;
+      const full  = c.img || CARD_BACK;
+      const thumb = thumbSrc(full);
       return `
-        <li class="card-tile" title="${c.name}">
+        <li class="card-tile" title="${escapeHtml(c.name)}">
           <div class="thumb">
-            <img class="card-img" src="${thumb}" data-fullsrc="${full}" alt="${c.name}" loading="lazy">
+            <img class="card-img" src="${escapeHtml(thumb)}" data-fullsrc="${escapeHtml(full)}" alt="${escapeHtml(c.name)}" loading="lazy">
           </div>
-          <div class="meta"><strong>${c.name}</strong></div>
+          <div class="meta"><strong>${escapeHtml(c.name)}</strong></div>
         </li>
       `;
     }).join("");
   }
 
   const total = state.deck.length + state.hand.length;
-  if (stats) stats.textContent = `Hand: ${state.hand.length} • Deck remaining: ${state.deck.length} • Total pool: ${total}`;
+  const turn  = turnLabel(state);
+  if (stats) stats.textContent = `${turn ? `${turn} • ` : ""}Hand: ${state.hand.length} • Deck remaining: ${state.deck.length} • Total pool: ${total}`;
 }
 
 // Wire the hand tester panel (draw/reshuffle/clear/save)
@@ -738,30 +2180,60 @@ function wireHandTester(root, deck) {
   if (!panel || panel.dataset.wired) return;
   panel.dataset.wired = "1";
 
+  // Read the deck at draw time: edits / side plans replace the deck this panel was wired with
+  const current = () => sidedDeck(activeDeck() || deck);
+
   const incSide  = panel.querySelector("#htIncludeSide");
   const incExtra = panel.querySelector("#htIncludeExtra");
   const btn5     = panel.querySelector("#htDraw5");
   const btn6     = panel.querySelector("#htDraw6");
   const btnPlus1 = panel.querySelector("#htPlus1");
+  const btnNext  = panel.querySelector("#htNextTurn");
+  const seedIn   = panel.querySelector("#htSeed");
+  const btnReplay= panel.querySelector("#htReplay");
   const btnShuf  = panel.querySelector("#htShuffle");
   const btnClear = panel.querySelector("#htClear");
   const btnSave  = panel.querySelector("#htSave");
+  const btnGold  = panel.querySelector("#htGoldfish");
+  const btnKeep  = panel.querySelector("#htSaveLocal");
+  const btnHist  = panel.querySelector("#htHistory");
 
-  let state = makeDrawState(deck, {
+  let state = makeDrawState(current(), {
     includeSide:  incSide?.checked || false,
     includeExtra: incExtra?.checked || false,
   });
+  if (seedIn) seedIn.value = state.seed;
   renderHandInto(panel, state);
 
-  // Rebuild pool when toggles change
-  const rebuild = () => {
-    state = makeDrawState(deck, {
+  // Mirror the hand into CURRENT_HAND + the URL (push = new history entry)
+  const handChanged = (push = false) => {
+    CURRENT_HAND = state.hand.slice();
+    writeUrlState(pageUrlState(root), { push });
+  };
+  handChanged();
+
+  // Rebuild pool (same seed unless a new one is given) when toggles change / on deal
+  const rebuild = (seed = state.seed) => {
+    const going = state.going;
+    state = makeDrawState(current(), {
       includeSide:  incSide?.checked || false,
       includeExtra: incExtra?.checked || false,
+      seed,
     });
+    state.going = going;
+    if (seedIn) seedIn.value = state.seed;
     renderHandInto(panel, state);
   };
 
+  // Fresh shuffle from `seed` and the opening hand for a play order
+  const deal = (going, seed = randomSeed()) => {
+    clearDrawn();
+    rebuild(seed);
+    state.going = going;
+    state.turn = 1;
+    drawAndSync(OPENING_SIZE[going]);
+  };
+
   // Draw N and sync with “remaining qty” projection
   function drawAndSync(n) {
     for (let i = 0; i < n; i++) {
@@ -774,16 +2246,83 @@ function wireHandTester(root, deck) {
     refreshSections(root, deck);
   }
 
-  incSide ?.addEventListener("change", rebuild);
-  incExtra?.addEventListener("change", rebuild);
+  // Restore a specific hand (deep links): pull those cards out of a fresh pool.
+  // Draws come off the end, so pulling from the end keeps a seeded deck order exact.
+  panel.setHand = (ids = [], { includeSide = false, includeExtra = false, seed = "", going = "first", turn = 0 } = {}) => {
+    if (incSide)  incSide.checked  = includeSide;
+    if (incExtra) incExtra.checked = includeExtra;
+    clearDrawn();
+    rebuild(seed || randomSeed());
+    state.going = going;
+    state.turn  = ids.length ? Math.max(1, turn) : 0;
+    ids.forEach(id => {
+      const i = state.deck.findLastIndex(c => String(cardIdOf(c)) === String(id));
+      if (i < 0) return;
+      const [card] = state.deck.splice(i, 1);
+      state.hand.push(card);
+      incDrawn(card, 1);
+    });
+    renderHandInto(panel, state);
+    refreshSections(root, deck);
+    handChanged();
+  };
+
+  // Deck changed (edit): fresh pool from the same seed, nothing drawn
+  panel.refresh = () => {
+    clearDrawn();
+    rebuild();
+    handChanged();
+  };
+
+  // Seed / play order / turn for deep links
+  panel.drawInfo = () => ({ seed: state.seed, going: state.going, turn: state.turn });
+
+  incSide ?.addEventListener("change", () => { rebuild(); handChanged(); });
+  incExtra?.addEventListener("change", () => { rebuild(); handChanged(); });
+
+  btn5    ?.addEventListener("click", () => { deal("first");  handChanged(true); });
+  btn6    ?.addEventListener("click", () => { deal("second"); handChanged(true); });
+  btnPlus1?.addEventListener("click", () => { drawAndSync(1); handChanged(); });
+
+  // Draw Phase of the next turn (deals going first if nothing is out yet)
+  btnNext ?.addEventListener("click", () => {
+    if (!state.turn) { deal("first", state.seed); handChanged(true); return; }
+    state.turn++;
+    drawAndSync(1);
+    handChanged(true);
+  });
 
-  btn5    ?.addEventListener("click", () => { clearDrawn(); rebuild(); drawAndSync(5); });
-  btn6    ?.addEventListener("click", () => { clearDrawn(); rebuild(); drawAndSync(6); });
-  btnPlus1?.addEventListener("click", () => { drawAndSync(1); });
+  // Re-create the exact shuffle from the seed box and deal the same opening again
+  const replay = () => {
+    const seed = seedIn?.value.trim() || state.seed;
+    deal(state.going, seed);
+    handChanged(true);
+  };
+  btnReplay?.addEventListener("click", replay);
+  seedIn   ?.addEventListener("keydown", (e) => { if (e.key === "Enter") { e.preventDefault(); replay(); } });
 
-  btnShuf ?.addEventListener("click", () => { clearDrawn(); rebuild(); refreshSections(root, deck); });
+  btnShuf ?.addEventListener("click", () => { clearDrawn(); rebuild(randomSeed()); refreshSections(root, deck); handChanged(); });
   btnClear?.addEventListener("click", () => {
-    clearDrawn(); state.hand = []; renderHandInto(panel, state); refreshSections(root, deck);
+    clearDrawn(); rebuild(); refreshSections(root, deck); handChanged();
+  });
+
+  // Play the current draw out on a goldfish board
+  btnGold?.addEventListener("click", () => openGoldfish(state, current()));
+
+  // Saved-hand history (per deck, in the browser)
+  const pool = () => ({ side: !!incSide?.checked, extra: !!incExtra?.checked });
+  btnKeep?.addEventListener("click", () => {
+    if (!state.hand.length) return;
+    openSaveHand(current(), state.hand.slice(), { draw: panel.drawInfo(), pool: pool() });
+  });
+  btnHist?.addEventListener("click", () => {
+    openSavedHands(current(), (entry) => {
+      panel.setHand(entry.hand, {
+        includeSide: entry.pool?.side, includeExtra: entry.pool?.extra,
+        seed: entry.seed, going: entry.going, turn: entry.turn,
+      });
+      panel.scrollIntoView({ behavior: "smooth", block: "start" });
+    });
   });
 
   // Save hand as a simple .txt (Name xCount)
@@ -820,6 +2359,7 @@ function wireHandTester(root, deck) {
       }
       renderHandInto(panel, state);
       refreshSections(root, deck);
+      handChanged();
     }
   });
 }
@@ -853,21 +2393,69 @@ function wireUI(root, deck) {
     }
   });
 
-  // EXPORT buttons
-  const btnYdk = root.querySelector("#btnExportYdk");
-  const btnTxt = root.querySelector("#btnExportTxt");
+  // EXPORT buttons (wired once; wireUI runs again on every filter refresh)
+  const btnYdk  = root.querySelector("#btnExportYdk");
+  const btnTxt  = root.querySelector("#btnExportTxt");
+  const btnImg  = root.querySelector("#btnExportImage");
+  const btnJson = root.querySelector("#btnExportJson");
+  const btnYdke = root.querySelector("#btnCopyYdke");
+
+  if (btnYdk && !btnYdk.dataset.wired) {
+    btnYdk.addEventListener("click", () => {
+      const src = activeDeck() || deck;
+      downloadFile(`${src.name || "deck"}.ydk`, buildYdk(src, src.author || "Unknown"));
+    });
 
-  btnYdk?.addEventListener("click", () => {
-    const ydk = buildYdk(CURRENT_DECK || deck, (CURRENT_DECK || deck).author || "Unknown");
-    downloadFile(`${(CURRENT_DECK || deck).name || "deck"}.ydk`, ydk);
-  });
+    btnTxt?.addEventListener("click", () => {
+      const src = activeDeck() || deck;
+      downloadFile(`${src.name || "deck"}.txt`, buildTxt(src));
+    });
 
-  btnTxt?.addEventListener("click", () => {
-    const txt = buildTxt(CURRENT_DECK || deck);
-    downloadFile(`${(CURRENT_DECK || deck).name || "deck"}.txt`, txt);
-  });
+    btnImg?.addEventListener("click", () => openDeckImage(sidedDeck(activeDeck() || deck)));
+
+    btnJson?.addEventListener("click", () => {
+      const src = activeDeck() || deck;
+      downloadFile(`${src.name || "deck"}.json`, buildDeckJson(src));
+    });
+
+    // ydke:// link → clipboard (prompt fallback when clipboard is blocked)
+    btnYdke?.addEventListener("click", async () => {
+      const link = buildYdke(activeDeck() || deck);
+      try {
+        await navigator.clipboard.writeText(link);
+        btnYdke.textContent = "Copied!";
+        setTimeout(() => { btnYdke.textContent = "Copy ydke://"; }, 1500);
+      } catch {
+        prompt("Copy this ydke:// link:", link);
+      }
+    });
+
+    btnYdk.dataset.wired = "1";
+  }
+
+  // IMPORT ydke:// link → deck library (opens right away)
+  const btnPasteYdke = root.querySelector("#btnImportYdke");
+  if (btnPasteYdke && !btnPasteYdke.dataset.wired) {
+    btnPasteYdke.addEventListener("click", async () => {
+      const link = prompt("Paste a ydke:// link:")?.trim();
+      if (!link) return;
+      try {
+        showLoader();
+        const { deck: deckJson, report } = await importYdkeToJson(link);
+        const entry = addToLibrary(deckJson, report);
+        openLibraryDeck(entry.id);
+        if (report.unknown.length) alert(`Imported “${deckJson.name}”.\n\n${importReportText(report)}`);
+      } catch (err) {
+        console.error(err);
+        alert(`Import failed: ${err.message}`);
+      } finally {
+        hideLoader();
+      }
+    });
+    btnPasteYdke.dataset.wired = "1";
+  }
 
-  // IMPORT .YDK → JSON (download)
+  // IMPORT .YDK → deck library (opens right away)
   const btnImport = root.querySelector("#btnImportYdk");
   const inputYdk  = root.querySelector("#importYdkInput");
   if (btnImport && inputYdk && !btnImport.dataset.wired) {
@@ -878,10 +2466,11 @@ function wireUI(root, deck) {
       try {
         const text = await file.text();
         showLoader();
-        const deckJson = await importYdkToJson(text);
-        const pretty = JSON.stringify(deckJson, null, 2);
-        const safeName = (deckJson.name || "imported-deck").replace(/[^\w\-]+/g, "_");
-        downloadFile(`${safeName}.json`, pretty);
+        const { deck: deckJson, report } = await importYdkToJson(text);
+        if (deckJson.name === "Imported Deck") deckJson.name = file.name.replace(/\.ydk$/i, "") || deckJson.name;
+        const entry = addToLibrary(deckJson, report);
+        openLibraryDeck(entry.id);
+        if (report.unknown.length) alert(`Imported “${deckJson.name}”.\n\n${importReportText(report)}`);
       } catch (err) {
         console.error(err);
         alert("Import failed. Check the .YDK file and try again.");
@@ -893,6 +2482,36 @@ function wireUI(root, deck) {
     btnImport.dataset.wired = "1";
   }
 
+  // IMPORT plain-text decklist (review step in a modal)
+  const btnImportTxt = root.querySelector("#btnImportTxt");
+  if (btnImportTxt && !btnImportTxt.dataset.wired) {
+    btnImportTxt.addEventListener("click", openTxtImport);
+    btnImportTxt.dataset.wired = "1";
+  }
+
+  // PRINT proxies (current list, side plan applied)
+  const btnProxies = root.querySelector("#btnProxies");
+  if (btnProxies && !btnProxies.dataset.wired) {
+    btnProxies.addEventListener("click", () => openProxySheet(sidedDeck(activeDeck() || deck)));
+    btnProxies.dataset.wired = "1";
+  }
+
+  // Banlist picker → re-evaluate the current deck
+  const banSelect = root.querySelector("#banlistSelect");
+  if (banSelect && !banSelect.dataset.wired) {
+    banSelect.addEventListener("change", async () => {
+      try {
+        await selectBanlist(banSelect.value);
+      } catch (err) {
+        console.error(err);
+        alert("Couldn't load that banlist.");
+      }
+      refreshLegality(root, deck);
+      refreshSections(root, deck);
+    });
+    banSelect.dataset.wired = "1";
+  }
+
   // Header actions (collapse/expand all)
   const header = root.querySelector(".deck-header");
   if (header && !header.dataset.wired) {
@@ -947,7 +2566,7 @@ function wireUI(root, deck) {
     if (select) {
       const currentValue = select.value || "";
       select.innerHTML = `<option value="">All</option>`;
-      collectFunctionFacet(CURRENT_DECK || deck).forEach(tag => {
+      collectFunctionFacet(activeDeck() || deck).forEach(tag => {
         const opt = document.createElement("option");
         opt.value = tag;
         opt.textContent = tag.replace(/_/g, " ").replace(/\b\w/g, c => c.toUpperCase());
@@ -969,36 +2588,49 @@ function wireUI(root, deck) {
   const elFn    = root.querySelector("#functionFilter");
   const elClear = root.querySelector("#filterClear");
 
-  const applyFilters = () => refreshSections(root, deck);
+  const applyFilters = () => {
+    refreshSections(root, deck);
+    writeUrlState(pageUrlState(root));
+  };
   const applyDebounced = debounce(applyFilters, 120);
 
-  elText ?.addEventListener("input",  applyDebounced);
-  elMons ?.addEventListener("change", applyFilters);
-  elSpell?.addEventListener("change", applyFilters);
-  elTrap ?.addEventListener("change", applyFilters);
-  elMin  ?.addEventListener("input",  applyDebounced);
-  elMax  ?.addEventListener("input",  applyDebounced);
-  elFn   ?.addEventListener("change", applyFilters);
-
-  elClear?.addEventListener("click", () => {
-    if (elText)  elText.value = "";
-    if (elMons)  elMons.checked  = true;
-    if (elSpell) elSpell.checked = true;
-    if (elTrap)  elTrap.checked  = true;
-    if (elMin)   elMin.value = "";
-    if (elMax)   elMax.value = "";
-    if (elFn)    elFn.value = "";
-    applyFilters();
-
-    // Expand all after clearing
-    root.querySelectorAll(".deck-section").forEach(sec => {
-      sec.classList.remove("is-collapsed");
-      const grid = sec.querySelector(".card-grid");
-      const btn  = sec.querySelector(".deck-toggle");
-      if (grid) grid.style.display = "";
-      if (btn)  btn.setAttribute("aria-expanded", "true");
-    });
+  // Filter inputs live in the header, which survives refreshSections → wire each once
+  [
+    [elText,  "input",  applyDebounced],
+    [elMons,  "change", applyFilters],
+    [elSpell, "change", applyFilters],
+    [elTrap,  "change", applyFilters],
+    [elMin,   "input",  applyDebounced],
+    [elMax,   "input",  applyDebounced],
+    [elFn,    "change", applyFilters],
+  ].forEach(([el, type, handler]) => {
+    if (!el || el.dataset.wired) return;
+    el.addEventListener(type, handler);
+    el.dataset.wired = "1";
   });
+
+  if (elClear && !elClear.dataset.wired) {
+    elClear.addEventListener("click", () => {
+      if (elText)  elText.value = "";
+      if (elMons)  elMons.checked  = true;
+      if (elSpell) elSpell.checked = true;
+      if (elTrap)  elTrap.checked  = true;
+      if (elMin)   elMin.value = "";
+      if (elMax)   elMax.value = "";
+      if (elFn)    elFn.value = "";
+      applyFilters();
+
+      // Expand all after clearing
+      root.querySelectorAll(".deck-section").forEach(sec => {
+        sec.classList.remove("is-collapsed");
+        const grid = sec.querySelector(".card-grid");
+        const btn  = sec.querySelector(".deck-toggle");
+        if (grid) grid.style.display = "";
+        if (btn)  btn.setAttribute("aria-expanded", "true");
+      });
+    });
+    elClear.dataset.wired = "1";
+  }
 }
 
 /* ===== END: UI WIRING ===== */
@@ -1015,20 +2647,20 @@ function sectionCounts(deck) {
   return { main: sumQty(main), extra: sumQty(extra), side: sumQty(side) };
 }
 
-async function preloadDeckCounts() {
-  const boxes = document.querySelectorAll(".deckbox");
-  for (const box of boxes) {
+// Counts on the deckbox labels (all decks load in parallel)
+async function preloadDeckCounts(boxes = document.querySelectorAll(".deckbox")) {
+  await Promise.all([...boxes].map(async (box) => {
     const path = box.getAttribute("data-deck");
-    if (!path) continue;
+    if (!path) return;
     try {
       const deck   = await loadDeck(path);
       const counts = sectionCounts(deck);
       const label  = box.querySelector(".deck-label");
-      if (!label) continue;
+      if (!label) return;
       const deckKey = box.dataset.deckKey || "";
       const nameText = label.textContent.trim();
       label.innerHTML = `
-        <span class="deck-name ${deckKey}">${nameText}</span>
+        <span class="deck-name ${escapeHtml(deckKey)}">${escapeHtml(nameText)}</span>
         <span class="deck-counts">
           <span class="main-count">${counts.main}</span>
           <span class="extra-count">${counts.extra}</span>
@@ -1038,85 +2670,3044 @@ async function preloadDeckCounts() {
     } catch (e) {
       console.warn(`Couldn’t preload ${path}`, e);
     }
-  }
+  }));
 }
 
 /* ===== END: DECKBOX COUNTS ===== */
 
 
 /* =========================
-   13) CROSSFADE LOAD + BOOT
+   12b) DECK MANIFEST (data/index.json → deckboxes, sort + filter)
 ========================= */
 
-async function crossfadeLoad(path) {
-  const mount = document.getElementById("deck-root");
-  if (!mount) return;
+const CHOOSER_SORTS = { manifest: "Default", name: "Name", format: "Format" };
+const CHOOSER_DEFAULTS = { sort: "manifest", tag: "", format: "", archived: false };
 
-  showLoader();
-  mount.classList.add("is-switching");
-  await wait(180);
+function readChooserPrefs() {
+  try {
+    return { ...CHOOSER_DEFAULTS, ...JSON.parse(localStorage.getItem(CHOOSER_KEY) || "{}") };
+  } catch {
+    return { ...CHOOSER_DEFAULTS };
+  }
+}
+
+function saveChooserPrefs(prefs) {
+  localStorage.setItem(CHOOSER_KEY, JSON.stringify(prefs));
+}
+
+// One deckbox per manifest entry (box art fades in when the deck is open)
+function manifestBox(entry, index) {
+  const tags = (entry.tags || []).map(t => String(t).toLowerCase());
+  return `
+    <button class="deckbox ${escapeHtml(entry.key)}" data-deck="${escapeHtml(entry.file)}" data-deck-key="${escapeHtml(entry.key)}"
+            data-order="${index}" data-format="${escapeHtml(entry.format || "")}" data-tags="${escapeHtml(tags.join("|"))}"${entry.archived ? ` data-archived="1"` : ""}>
+      ${entry.boxArt ? `<span class="deckbox-art" style="background-image:url('${escapeHtml(encodeURI(entry.boxArt))}')"></span>` : ""}
+      <span class="deck-label">${escapeHtml(entry.label)}</span>
+    </button>
+  `;
+}
+
+function chooserControlsBlock(prefs) {
+  const tags    = [...new Set(DECKS.flatMap(d => (d.tags || []).map(t => String(t).toLowerCase())))].sort();
+  const formats = [...new Set(DECKS.map(d => d.format).filter(Boolean))].sort();
+  const options = (values, current, label = v => v) =>
+    values.map(v => `<option value="${escapeHtml(v)}"${v === current ? " selected" : ""}>${escapeHtml(label(v))}</option>`).join("");
+  return `
+    <div class="chooser-controls" id="chooserControls">
+      <label>Sort
+        <select id="chooserSort">${options(Object.keys(CHOOSER_SORTS), prefs.sort, v => CHOOSER_SORTS[v])}</select>
+      </label>
+      <label>Tag
+        <select id="chooserTag"><option value="">All</option>${options(tags, prefs.tag)}</select>
+      </label>
+      <label>Format
+        <select id="chooserFormat"><option value="">All</option>${options(formats, prefs.format, v => v.toUpperCase())}</select>
+      </label>
+      <label><input type="checkbox" id="chooserArchived"${prefs.archived ? " checked" : ""}> Show archived</label>
+    </div>
+    <p class="muted" id="chooserEmpty" hidden>No decks match this filter.</p>
+  `;
+}
+
+// Sort + filter the deckboxes in place (library decks have no tags/format)
+function applyChooserView(prefs = readChooserPrefs()) {
+  const wrap = document.querySelector(".deckboxes");
+  if (!wrap) return;
+
+  const items = [...wrap.children].filter(el => el.matches(".deckbox, .library-box"));
+  const boxOf = (el) => el.matches(".deckbox") ? el : el.querySelector(".deckbox");
+  const order = (el) => { const n = Number(boxOf(el)?.dataset.order); return Number.isFinite(n) ? n : Infinity; };
+  const label = (el) => (boxOf(el)?.querySelector(".deck-name") || boxOf(el))?.textContent.trim() || "";
+  const byOrder = (a, b) => (order(a) === order(b) ? 0 : order(a) - order(b));
+  const sorts = {
+    manifest: byOrder,
+    name:     (a, b) => label(a).localeCompare(label(b)),
+    format:   (a, b) => (boxOf(a)?.dataset.format || "~").localeCompare(boxOf(b)?.dataset.format || "~") || byOrder(a, b),
+  };
+  items.sort(sorts[prefs.sort] || sorts.manifest);
+
+  let shown = 0;
+  items.forEach(el => {
+    const box  = boxOf(el);
+    const tags = (box?.dataset.tags || "").split("|");
+    const hide = !box?.classList.contains("is-active") && (
+      (box?.dataset.archived && !prefs.archived) ||
+      (prefs.tag && !tags.includes(prefs.tag)) ||
+      (prefs.format && box?.dataset.format !== prefs.format)
+    );
+    el.hidden = !!hide;
+    if (!hide) shown++;
+    wrap.appendChild(el);
+  });
+
+  const empty = document.getElementById("chooserEmpty");
+  if (empty) empty.hidden = shown > 0;
+}
+
+// Boot: manifest → deckboxes + sort/filter controls (restores the last choice)
+async function initDeckChooser() {
+  const wrap = document.querySelector(".deckboxes");
+  if (!wrap) return;
 
   try {
-    const deck = await loadDeck(path);
-    CURRENT_DECK = deck;
-    render(deck);
-    WORKING_DECK = null;
-    CURRENT_HAND = [];
-    clearDrawn();
+    DECKS = await loadDeckManifest();
   } catch (e) {
-    console.error(e);
-    mount.innerHTML = `<p style="color:tomato">Couldn't load the deck (${e.message}).</p>`;
-  } finally {
-    requestAnimationFrame(() => {
-      mount.classList.remove("is-switching");
-      hideLoader();
-    });
+    console.warn("Couldn’t load the deck manifest", e);
+    wrap.insertAdjacentHTML("beforebegin", `<p style="color:tomato">Couldn't load the deck list (${e.message}).</p>`);
+    return;
   }
+
+  wrap.insertAdjacentHTML("afterbegin", DECKS.map(manifestBox).join(""));
+
+  const prefs = readChooserPrefs();
+  wrap.insertAdjacentHTML("beforebegin", chooserControlsBlock(prefs));
+
+  const controls = document.getElementById("chooserControls");
+  controls?.addEventListener("change", () => {
+    const next = {
+      sort:     controls.querySelector("#chooserSort").value,
+      tag:      controls.querySelector("#chooserTag").value,
+      format:   controls.querySelector("#chooserFormat").value,
+      archived: controls.querySelector("#chooserArchived").checked,
+    };
+    saveChooserPrefs(next);
+    applyChooserView(next);
+  });
+
+  applyChooserView(prefs);
 }
 
-// Bootstrap
-document.addEventListener("DOMContentLoaded", () => {
-  preloadDeckCounts();      // counts on deckbox labels
-  wireLifePoints(document); // lifepoint counter (once)
+/* ===== END: DECK MANIFEST ===== */
 
-  const root    = document.getElementById("deck-root");
-  const buttons = Array.from(document.querySelectorAll(".deckbox, .deck-btn"));
-  if (!root || buttons.length === 0) return;
 
-  // Neutral state (no deck)
-  root.innerHTML = `<p class="muted"></p>`;
+/* =========================
+   13) DECK VALIDATION (size rules, copy limit, banlist, Extra-only types)
+========================= */
 
-  // Deck selection / toggling
-  buttons.forEach(btn => {
-    btn.addEventListener("click", async () => {
-      // Clicking active deck again clears view
-      if (btn.classList.contains("is-active")) {
-        btn.classList.remove("is-active");
-        root.innerHTML = `<p class="muted"></p>`;
-        return;
-      }
+// Size rules per section
+const DECK_RULES = {
+  main:  { min: 40, max: 60 },
+  extra: { min: 0,  max: 15 },
+  side:  { min: 0,  max: 15 },
+};
 
-      const path    = btn.getAttribute("data-deck");
-      const deckKey = btn.dataset.deckKey;
-      if (!path || !deckKey) return;
+// Max copies of one card across Main + Extra + Side
+const MAX_COPIES = 3;
 
-      // Body theme for deck glow
-      document.body.classList.forEach(cls => { if (cls.endsWith("-deck")) document.body.classList.remove(cls); });
-      document.body.classList.add(`${deckKey}-deck`);
+// Monster types that can only live in the Extra Deck
+const EXTRA_ONLY_TYPES = ["fusion", "synchro", "xyz", "link"];
 
-      // Visual “active” state
-      buttons.forEach(b => b.classList.remove("is-active"));
-      btn.classList.add("is-active");
+const SECTION_LABELS = { main: "Main", extra: "Extra", side: "Side" };
 
-      try {
-        await crossfadeLoad(path);
-        btn.classList.remove("is-opening");
-        btn.classList.add("is-active");
-      } catch {
-        btn.classList.remove("is-opening");
-      }
-    });
-  });
+// Banlist limit → label
+const LIMIT_LABELS = { 0: "Forbidden", 1: "Limited", 2: "Semi-Limited" };
+
+// Allowed copies of a card on a banlist (0/1/2), or null if unrestricted
+function banlistLimitOf(card, banlist = CURRENT_BANLIST) {
+  if (!banlist?.cards || card?.id == null) return null;
+  const entry = banlist.cards[String(card.id)];
+  if (entry == null) return null;
+  const limit = Number(typeof entry === "object" ? entry.limit : entry);
+  return Number.isFinite(limit) ? limit : null;
+}
+
+// True if a card is Extra Deck-only (type token, or a Rank / Link rating)
+function isExtraDeckCard(card) {
+  if (asArray(card.type).some(t => EXTRA_ONLY_TYPES.includes(String(t).toLowerCase()))) return true;
+  // Older imports lack the type token; a Rank or Link rating still means Xyz / Link
+  return card.rank != null || card.link != null;
+}
+
+// Total copies per card (keyed by cardIdOf) across all sections
+function copyCounts(deck) {
+  const counts = new Map(); // id -> { name, qty }
+  for (const list of Object.values(deck.sections || {})) {
+    for (const card of list || []) {
+      const id = cardIdOf(card);
+      const cur = counts.get(id) || { name: card.name, qty: 0 };
+      cur.qty += Number(card.qty) || 1;
+      counts.set(id, cur);
+    }
+  }
+  return counts;
+}
+
+/**
+ * Check a deck against the size rules, the 3-copy limit, the chosen
+ * Forbidden & Limited list and Extra Deck-only types in Main.
+ * Returns { ok, violations: [{ rule, section?, card?, message }] }.
+ */
+function validateDeck(deck, banlist = CURRENT_BANLIST) {
+  const violations = [];
+  const sections = deck?.sections || {};
+
+  // Section sizes
+  for (const [key, rule] of Object.entries(DECK_RULES)) {
+    const n = sumQty(sections[key]);
+    const label = SECTION_LABELS[key];
+    if (n < rule.min) violations.push({ rule: "size", section: key, message: `${label} Deck has ${n} cards (min ${rule.min}).` });
+    if (n > rule.max) violations.push({ rule: "size", section: key, message: `${label} Deck has ${n} cards (max ${rule.max}).` });
+  }
+
+  // Copy limit across all sections
+  for (const { name, qty } of copyCounts(deck).values()) {
+    if (qty > MAX_COPIES) violations.push({ rule: "copies", card: name, message: `${name}: ${qty} copies (max ${MAX_COPIES}).` });
+  }
+
+  // Forbidden & Limited list
+  if (banlist) {
+    for (const [id, { name, qty }] of copyCounts(deck)) {
+      const limit = banlistLimitOf({ id }, banlist);
+      if (limit != null && qty > limit) {
+        violations.push({ rule: "banlist", card: name, message: `${name}: ${qty} copies (${LIMIT_LABELS[limit]} on ${banlistLabel(banlist)}, max ${limit}).` });
+      }
+    }
+  }
+
+  // Extra Deck-only types in Main
+  for (const card of sections.main || []) {
+    if (isExtraDeckCard(card)) {
+      violations.push({ rule: "extra-in-main", section: "main", card: card.name, message: `${card.name} is an Extra Deck monster but is in the Main Deck.` });
+    }
+  }
+
+  return { ok: violations.length === 0, violations };
+}
+
+// Pass/fail badge + violation list for the deck header
+function legalityBlock(deck) {
+  const { ok, violations } = validateDeck(deck);
+  const items = violations.map(v => `<li>${escapeHtml(v.message)}</li>`).join("");
+  return `
+    <div class="deck-legality ${ok ? "is-legal" : "is-illegal"}" id="deckLegality">
+      <span class="legality-badge">${ok ? "✔ Legal" : `✖ Not legal (${violations.length})`}</span>
+      ${ok ? "" : `<ul class="legality-list">${items}</ul>`}
+    </div>
+  `;
+}
+
+// Re-draw the legality block in place (e.g. after switching banlists)
+function refreshLegality(root, deck) {
+  const el = root.querySelector("#deckLegality");
+  if (el) el.outerHTML = legalityBlock(sidedDeck(activeDeck() || deck));
+}
+
+// Display name for a banlist (manifest entry or loaded list), with its effective date
+function banlistLabel(b) {
+  const name = b.label || b.format || b.name || b.key || "banlist";
+  return b.effective ? `${name} (${b.effective})` : name;
+}
+
+// <option>s for the banlist picker
+function banlistOptions() {
+  const current = CURRENT_BANLIST?.key || "";
+  return [`<option value="">None</option>`]
+    .concat(BANLISTS.map(b => `<option value="${escapeHtml(b.key)}"${b.key === current ? " selected" : ""}>${escapeHtml(banlistLabel(b))}</option>`))
+    .join("");
+}
+
+// Load + apply a banlist by manifest key ("" = none), remembering the choice
+async function selectBanlist(key) {
+  const entry = BANLISTS.find(b => b.key === key);
+  CURRENT_BANLIST = entry ? { key, label: entry.label, effective: entry.effective, ...(await loadBanlist(entry.file)) } : null;
+  localStorage.setItem(BANLIST_KEY, CURRENT_BANLIST ? key : "");
+}
+
+// Boot: read the manifest and restore the last choice (defaults to the first list)
+async function initBanlists() {
+  try {
+    BANLISTS = await loadBanlistIndex();
+    const saved = localStorage.getItem(BANLIST_KEY);
+    await selectBanlist(saved ?? BANLISTS[0]?.key ?? "");
+  } catch (e) {
+    console.warn("Couldn’t load banlists", e);
+  }
+}
+
+/* ===== END: DECK VALIDATION ===== */
+
+
+/* =========================
+   14) OPENING ODDS (exact hypergeometric, by function tag)
+========================= */
+
+// n choose k (exact enough as a double for deck-sized numbers)
+function choose(n, k) {
+  if (k < 0 || k > n) return 0;
+  k = Math.min(k, n - k);
+  let r = 1;
+  for (let i = 1; i <= k; i++) r = r * (n - k + i) / i;
+  return r;
+}
+
+/**
+ * Exact probability that an opening hand meets every condition.
+ * conditions: [{ tag, min = 0, max = Infinity }] over function tags.
+ * Cards are bucketed by which of the condition tags they carry, so a card
+ * tagged both "starter" and "extender" counts toward both.
+ */
+function handProbability(cards, conditions, handSize = 5) {
+  const tags = conditions.map(c => norm(c.tag));
+  const buckets = new Map(); // bitmask -> copies
+  let total = 0;
+  for (const card of cards || []) {
+    const qty = Number(card.qty) || 1;
+    const own = getFunctionTags(card);
+    const mask = tags.reduce((m, t, i) => own.includes(t) ? m | (1 << i) : m, 0);
+    buckets.set(mask, (buckets.get(mask) || 0) + qty);
+    total += qty;
+  }
+  if (handSize > total) return 0;
+
+  const classes = [...buckets.entries()]; // [[mask, copies], ...]
+  const hits = new Array(tags.length).fill(0);
+  const meets = () => conditions.every((c, i) => hits[i] >= (c.min ?? 0) && hits[i] <= (c.max ?? Infinity));
+
+  // Walk every way to split the hand across buckets
+  let ways = 0;
+  (function walk(idx, left, product) {
+    if (idx === classes.length) { if (left === 0 && meets()) ways += product; return; }
+    const [mask, copies] = classes[idx];
+    for (let k = 0; k <= Math.min(copies, left); k++) {
+      tags.forEach((_, i) => { if (mask & (1 << i)) hits[i] += k; });
+      walk(idx + 1, left - k, product * choose(copies, k));
+      tags.forEach((_, i) => { if (mask & (1 << i)) hits[i] -= k; });
+    }
+  })(0, handSize, 1);
+
+  return ways / choose(total, handSize);
+}
+
+// 0.8734 → "87.3%"
+const pct = (p) => `${(p * 100).toFixed(1)}%`;
+
+// Copies of a function tag in a card list
+function tagCopies(cards, tag) {
+  return (cards || []).reduce((n, c) => getFunctionTags(c).includes(tag) ? n + (Number(c.qty) || 1) : n, 0);
+}
+
+// Calculator panel (sits next to the Hand Tester)
+function oddsCalcBlock(deck) {
+  const tags = collectFunctionFacet(deck);
+  const opts = tags.map(t => `<option value="${escapeHtml(t)}">${escapeHtml(t.replace(/_/g, " "))}</option>`).join("");
+  const first = tags.includes("starter") ? "starter" : (tags[0] || "");
+  return `
+    <section class="odds-calc" id="oddsCalc">
+      <header>
+        <strong>Opening Odds</strong>
+        <label>Hand size
+          <select id="ocHandSize">
+            <option value="5">5 (going first)</option>
+            <option value="6">6 (going second)</option>
+          </select>
+        </label>
+      </header>
+      <div class="oc-query">
+        <span>P(</span>
+        <label>≥ <input id="ocMinA" type="number" min="0" max="6" value="1"></label>
+        <select id="ocTagA">${opts.replace(`value="${escapeHtml(first)}"`, `value="${escapeHtml(first)}" selected`)}</select>
+        <span>AND</span>
+        <label>≥ <input id="ocMinB" type="number" min="0" max="6" value="1"></label>
+        <select id="ocTagB"><option value="">(none)</option>${opts}</select>
+        <span>) =</span>
+        <output id="ocResult">–</output>
+      </div>
+      <table class="oc-table">
+        <thead><tr><th>Tag</th><th>Copies</th><th>P(≥1)</th><th>P(brick: 0)</th></tr></thead>
+        <tbody id="ocTable"></tbody>
+      </table>
+      <p class="oc-note muted" id="ocNote"></p>
+    </section>
+  `;
+}
+
+// Wire the calculator to the Main Deck of the given deck
+function wireOddsCalc(root, deck) {
+  const panel = root.querySelector("#oddsCalc");
+  if (!panel || panel.dataset.wired) return;
+  panel.dataset.wired = "1";
+
+  const q = (sel) => panel.querySelector(sel);
+
+  const update = () => {
+    const src   = sidedDeck(activeDeck() || deck); // read at run time: edits / side plans replace `deck`
+    const cards = src.sections?.main || [];
+    const hand = Number(q("#ocHandSize")?.value) || 5;
+    const tagA = q("#ocTagA")?.value || "";
+    const tagB = q("#ocTagB")?.value || "";
+    const minA = Math.max(0, Number(q("#ocMinA")?.value) || 0);
+    const minB = Math.max(0, Number(q("#ocMinB")?.value) || 0);
+
+    // Custom query
+    const conds = [];
+    if (tagA) conds.push({ tag: tagA, min: minA });
+    if (tagB) conds.push({ tag: tagB, min: minB });
+    const out = q("#ocResult");
+    if (out) out.textContent = conds.length ? pct(handProbability(cards, conds, hand)) : "–";
+
+    // Per-tag table
+    const body = q("#ocTable");
+    if (body) {
+      body.innerHTML = collectFunctionFacet(src).map(tag => `
+        <tr>
+          <td>${escapeHtml(tag.replace(/_/g, " "))}</td>
+          <td>${tagCopies(cards, tag)}</td>
+          <td>${pct(handProbability(cards, [{ tag, min: 1 }], hand))}</td>
+          <td>${pct(handProbability(cards, [{ tag, max: 0 }], hand))}</td>
+        </tr>
+      `).join("");
+    }
+
+    const note = q("#ocNote");
+    if (note) note.textContent = `Main Deck: ${sumQty(cards)} cards • ${hand}-card hand`;
+  };
+
+  panel.querySelectorAll("select, input").forEach(el => {
+    el.addEventListener(el.tagName === "INPUT" ? "input" : "change", update);
+  });
+
+  // Deck changed: refresh the tag pickers (keeping choices that still exist) + numbers
+  panel.refresh = () => {
+    const tags = collectFunctionFacet(sidedDeck(activeDeck() || deck));
+    const opts = tags.map(t => `<option value="${escapeHtml(t)}">${escapeHtml(t.replace(/_/g, " "))}</option>`).join("");
+    [["#ocTagA", ""], ["#ocTagB", `<option value="">(none)</option>`]].forEach(([sel, lead]) => {
+      const el = q(sel);
+      if (!el) return;
+      const keep = el.value;
+      el.innerHTML = lead + opts;
+      el.value = [...el.options].some(o => o.value === keep) ? keep : (el.options[0]?.value || "");
+    });
+    update();
+  };
+  update();
+}
+
+// Re-read the active deck in the draw tools (hand tester, odds) after an edit / side plan
+function refreshDrawTools(root) {
+  root.querySelector("#handTester")?.refresh?.();
+  root.querySelector("#oddsCalc")?.refresh?.();
+}
+
+/* ===== END: OPENING ODDS ===== */
+
+
+/* =========================
+   15) CARD QUERIES (parser + matcher)
+   Grammar (AND binds tighter than OR; juxtaposition = AND):
+     expr  := and ("OR" and)*
+     and   := unary ("AND"? unary)*
+     unary := ("NOT" | "-") unary | "(" expr ")" | [N] term
+     term  := key:value | num(:|=|>|>=|<|<=)N | num:MIN..MAX | "quoted phrase" | word
+     num   := atk | def | level | rank | link
+   A leading count (e.g. `2 fn:search`) means “at least N cards in the hand”
+   (simulator only; the deck filter reads it as a plain word).
+   Bare words match the name (simulator) or name/type/attribute/text (deck filter).
+========================= */
+
+// Short keys → card field
+const QUERY_KEYS = {
+  name: "name", n: "name",
+  fn: "function", function: "function", tag: "function",
+  type: "type", t: "type",
+  arch: "archetype", archetype: "archetype",
+  attr: "attribute", attribute: "attribute",
+  desc: "desc", text: "desc",
+  atk: "atk", def: "def",
+  level: "level", lv: "level", rank: "rank", link: "link",
+};
+
+// Fields compared as numbers (comparisons + MIN..MAX ranges)
+const NUMERIC_QUERY_FIELDS = ["atk", "def", "level", "rank", "link"];
+
+// Split query text into tokens: "(", ")", op (AND/OR/NOT/-) and terms
+function lexQuery(text) {
+  const s = String(text || "");
+  const out = [];
+  let i = 0;
+  while (i < s.length) {
+    const ch = s[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    if (ch === "(" || ch === ")") { out.push({ kind: ch, pos: i }); i++; continue; }
+
+    // A word; "quoted parts" may contain spaces/parens
+    const pos = i;
+    let word = "", quoted = false;
+    while (i < s.length && !/[\s()]/.test(s[i])) {
+      if (s[i] === '"') {
+        const end = s.indexOf('"', i + 1);
+        if (end < 0) throw new Error(`Unclosed quote at ${i + 1}`);
+        word += s.slice(i + 1, end);
+        quoted = true;
+        i = end + 1;
+      } else {
+        word += s[i++];
+      }
+    }
+
+    const upper = word.toUpperCase();
+    if (!quoted && (upper === "AND" || upper === "&&")) out.push({ kind: "and", pos });
+    else if (!quoted && (upper === "OR" || upper === "||")) out.push({ kind: "or", pos });
+    else if (!quoted && upper === "NOT") out.push({ kind: "not", pos });
+    else if (!quoted && word === "-") out.push({ kind: "not", pos });
+    else if (!quoted && word.startsWith("-") && word.length > 1) { out.push({ kind: "not", pos }); out.push({ kind: "word", text: word.slice(1), pos: pos + 1 }); }
+    else out.push({ kind: "word", text: word, quoted, pos });
+  }
+  return out;
+}
+
+// "fn:starter" → { field, op: ":", value }; "atk>=2000" → { field, op: ">=", value: 2000 };
+// "level:3..4" → { field, op: "..", value: 3, max: 4 }; bare words → bareField
+function parseTerm(tok, bareField = "name") {
+  if (tok.quoted && !tok.text.includes(":")) return { field: bareField, op: ":", value: norm(tok.text) };
+  const m = /^([a-z]+)(:|>=|<=|=|>|<)(.*)$/i.exec(tok.text);
+  if (!m) return { field: bareField, op: ":", value: norm(tok.text) };
+  const field = QUERY_KEYS[m[1].toLowerCase()];
+  const at = tok.pos + 1;
+  if (!field) throw new Error(`Unknown field "${m[1]}" at ${at}`);
+  if (!m[3]) throw new Error(`Missing value for "${m[1]}" at ${at}`);
+
+  if (!NUMERIC_QUERY_FIELDS.includes(field)) {
+    if (m[2] !== ":" && m[2] !== "=") throw new Error(`"${m[2]}" only works with ${NUMERIC_QUERY_FIELDS.join(", ")} (at ${at})`);
+    return { field, op: ":", value: norm(m[3]) };
+  }
+
+  const num = (v) => {
+    if (!/^\d+$/.test(v)) throw new Error(`"${m[1]}" needs a number, got "${v}" (at ${at})`);
+    return Number(v);
+  };
+  const range = /^(\d*)\.\.(\d*)$/.exec(m[3]);
+  if (range && m[2] === ":") {
+    if (!range[1] && !range[2]) throw new Error(`Empty range for "${m[1]}" at ${at}`);
+    return { field, op: "..", value: range[1] ? num(range[1]) : -Infinity, max: range[2] ? num(range[2]) : Infinity };
+  }
+  return { field, op: m[2] === ":" ? "=" : m[2], value: num(m[3]) };
+}
+
+/**
+ * Parse query text into an AST:
+ *   { op: "and"|"or", items } | { op: "not", item } | { op: "term", term, count }
+ * `bareField` is what plain words search ("name", or "text" for the deck filter).
+ * `counts: false` reads a leading number as a plain word ("3 vampire"), not a copy count.
+ * Throws Error with a readable message on bad input. Empty text → null.
+ */
+function parseQuery(text, { bareField = "name", counts = true } = {}) {
+  const tokens = lexQuery(text);
+  if (!tokens.length) return null;
+  let i = 0;
+  const peek = () => tokens[i];
+
+  function expr() {
+    const items = [and()];
+    while (peek()?.kind === "or") { i++; items.push(and()); }
+    return items.length === 1 ? items[0] : { op: "or", items };
+  }
+  function and() {
+    const items = [unary()];
+    while (peek() && peek().kind !== "or" && peek().kind !== ")") {
+      if (peek().kind === "and") i++;
+      items.push(unary());
+    }
+    return items.length === 1 ? items[0] : { op: "and", items };
+  }
+  function unary() {
+    const tok = peek();
+    if (!tok) throw new Error("Unexpected end of query");
+    if (tok.kind === "not") { i++; return { op: "not", item: unary() }; }
+    if (tok.kind === "(") {
+      i++;
+      const inner = expr();
+      if (peek()?.kind !== ")") throw new Error(`Missing ")" for "(" at ${tok.pos + 1}`);
+      i++;
+      return inner;
+    }
+    if (tok.kind !== "word") throw new Error(`Unexpected "${tok.kind === ")" ? ")" : tok.kind.toUpperCase()}" at ${tok.pos + 1}`);
+    i++;
+    // Leading count: "2 fn:search" / "2x fn:search"
+    const count = counts && /^(\d+)x?$/i.exec(tok.quoted ? "" : tok.text);
+    if (count && peek()?.kind === "word") {
+      const next = tokens[i++];
+      return { op: "term", term: parseTerm(next, bareField), count: Number(count[1]) };
+    }
+    return { op: "term", term: parseTerm(tok, bareField), count: 1 };
+  }
+
+  const ast = expr();
+  if (i < tokens.length) throw new Error(`Unexpected "${tokens[i].text ?? tokens[i].kind}" at ${tokens[i].pos + 1}`);
+  return ast;
+}
+
+// Compare a card's number (missing = no match, e.g. ATK on a Spell)
+function compareNumber(n, op, value, max) {
+  if (typeof n !== "number") return false;
+  switch (op) {
+    case "=":  return n === value;
+    case ">":  return n > value;
+    case ">=": return n >= value;
+    case "<":  return n < value;
+    case "<=": return n <= value;
+    case "..": return n >= value && n <= max;
+    default:   return false;
+  }
+}
+
+// Does one card satisfy a single term?
+function termMatches(card, { field, op, value, max }) {
+  if (NUMERIC_QUERY_FIELDS.includes(field)) {
+    // The bundled deck files store Link ratings as negatives (−3 = LINK-3)
+    const n = (field === "link" && typeof card.link === "number") ? Math.abs(card.link) : card[field];
+    return compareNumber(n, op, value, max);
+  }
+  switch (field) {
+    case "name":      return norm(card.name).includes(value);
+    case "text":      return [card.name, typesArrToString(card.type), card.attribute, card.desc].map(norm).join(" ").includes(value);
+    case "desc":      return norm(card.desc).includes(value);
+    case "function":  return getFunctionTags(card).includes(value);
+    case "type":      return asArray(card.type).some(t => norm(t) === value);
+    case "archetype": return norm(card.archetype).includes(value);
+    case "attribute": return norm(card.attribute) === value;
+    default:          return false;
+  }
+}
+
+// Evaluate a query AST against a hand (array of cards).
+// `memo` (term -> Map(card -> bool)) avoids re-testing the same card objects
+// across thousands of simulated hands.
+function handMatches(ast, hand, memo = null) {
+  if (!ast) return true;
+  switch (ast.op) {
+    case "and": return ast.items.every(n => handMatches(n, hand, memo));
+    case "or":  return ast.items.some(n => handMatches(n, hand, memo));
+    case "not": return !handMatches(ast.item, hand, memo);
+    case "term": {
+      let seen = memo?.get(ast.term);
+      if (memo && !seen) memo.set(ast.term, seen = new Map());
+      const test = (c) => {
+        if (!seen) return termMatches(c, ast.term);
+        if (!seen.has(c)) seen.set(c, termMatches(c, ast.term));
+        return seen.get(c);
+      };
+      return hand.filter(test).length >= ast.count;
+    }
+    default:    return false;
+  }
+}
+
+/* ===== END: CARD QUERIES ===== */
+
+
+/* =========================
+   16) HAND SIMULATION (Monte Carlo, chunked so the UI stays responsive)
+========================= */
+
+// 95% Wilson score interval for k successes in n trials
+function wilsonInterval(k, n, z = 1.96) {
+  if (!n) return { low: 0, high: 0 };
+  const p = k / n;
+  const den = 1 + z * z / n;
+  const mid = (p + z * z / (2 * n)) / den;
+  const half = (z * Math.sqrt(p * (1 - p) / n + z * z / (4 * n * n))) / den;
+  return { low: Math.max(0, mid - half), high: Math.min(1, mid + half) };
+}
+
+/**
+ * Draw `trials` opening hands and test each against the query AST.
+ * All trials share one rng from `seed`, so two builds run with the same seed see the same shuffles.
+ * Yields to the event loop between chunks; `onProgress(done, trials)`
+ * is called after each chunk and `isCancelled()` can stop the run early.
+ * Returns { trials, successes, rate, ci, bricks: [{ hand, count }] }.
+ */
+async function simulateHands(deck, ast, { trials = 10000, handSize = 5, includeSide = false, seed = randomSeed(), chunk = 500, onProgress, isCancelled } = {}) {
+  let done = 0, successes = 0;
+  const rng = makeRng(seed);
+  const bricks = new Map(); // "A • B • C" -> count
+  const memo = new Map();
+
+  while (done < trials) {
+    if (isCancelled?.()) break;
+    const end = Math.min(trials, done + chunk);
+    for (; done < end; done++) {
+      const { deck: pool } = makeDrawState(deck, { includeSide, rng });
+      const hand = pool.slice(-handSize);
+      if (handMatches(ast, hand, memo)) {
+        successes++;
+      } else {
+        const key = hand.map(c => c.name).sort().join(" • ");
+        bricks.set(key, (bricks.get(key) || 0) + 1);
+      }
+    }
+    onProgress?.(done, trials);
+    await wait(0);
+  }
+
+  const top = [...bricks.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 5)
+    .map(([hand, count]) => ({ hand, count }));
+
+  return { trials: done, successes, rate: done ? successes / done : 0, ci: wilsonInterval(successes, done), bricks: top, seed };
+}
+
+// Simulator panel (below the Hand Tester)
+function simulatorBlock() {
+  return `
+    <section class="hand-sim" id="handSim">
+      <header>
+        <strong>Hand Simulator</strong>
+        <div class="controls">
+          <label>Hand
+            <select id="simHandSize"><option value="5">5</option><option value="6">6</option></select>
+          </label>
+          <label>Trials
+            <select id="simTrials">
+              <option value="1000">1,000</option>
+              <option value="10000" selected>10,000</option>
+              <option value="50000">50,000</option>
+            </select>
+          </label>
+          <label><input type="checkbox" id="simIncludeSide"> Include Side</label>
+          <label>Seed <input type="text" id="simSeed" size="8" spellcheck="false" autocomplete="off" placeholder="random" title="Reuse a seed to run another build on the same shuffles"></label>
+        </div>
+      </header>
+      <div class="sim-query">
+        <input id="simQuery" type="search" spellcheck="false"
+          placeholder='e.g. "Vampire Familiar" OR 2 fn:search'
+          aria-label="Success condition" aria-describedby="simError">
+        <button type="button" class="btn btn-sm" id="simRun">Run</button>
+      </div>
+      <p class="sim-help muted">Terms: <code>"Card Name"</code>, <code>fn:starter</code>, <code>type:zombie</code>, <code>arch:vampire</code>, <code>attr:dark</code>. Prefix a count (<code>2 fn:search</code>); combine with AND / OR / NOT and parentheses.</p>
+      <p class="sim-error" id="simError" role="alert"></p>
+      <progress id="simProgress" max="1" value="0" hidden></progress>
+      <div class="sim-result" id="simResult"></div>
+    </section>
+  `;
+}
+
+// Wire the simulator panel
+function wireSimulator(root, deck) {
+  const panel = root.querySelector("#handSim");
+  if (!panel || panel.dataset.wired) return;
+  panel.dataset.wired = "1";
+
+  const q = (sel) => panel.querySelector(sel);
+  const input = q("#simQuery"), btn = q("#simRun"), err = q("#simError");
+  const bar = q("#simProgress"), out = q("#simResult");
+  let runId = 0;
+
+  // Inline parse feedback while typing
+  const check = () => {
+    try { parseQuery(input.value); err.textContent = ""; input.removeAttribute("aria-invalid"); return true; }
+    catch (e) { err.textContent = e.message; input.setAttribute("aria-invalid", "true"); return false; }
+  };
+  input.addEventListener("input", debounce(check, 200));
+
+  async function run() {
+    if (!check()) return;
+    const ast = parseQuery(input.value);
+    if (!ast) { err.textContent = "Enter a success condition first."; return; }
+
+    const myRun = ++runId;
+    const trials = Number(q("#simTrials")?.value) || 10000;
+    btn.textContent = "Stop";
+    bar.hidden = false;
+    bar.value = 0;
+
+    const res = await simulateHands(sidedDeck(activeDeck() || deck), ast, {
+      trials,
+      handSize: Number(q("#simHandSize")?.value) || 5,
+      includeSide: q("#simIncludeSide")?.checked || false,
+      seed: q("#simSeed")?.value.trim() || randomSeed(),
+      onProgress: (done, total) => { bar.value = done / total; },
+      isCancelled: () => myRun !== runId,
+    });
+    if (myRun !== runId) return; // stopped or superseded
+
+    bar.hidden = true;
+    btn.textContent = "Run";
+    out.innerHTML = `
+      <p><strong>${pct(res.rate)}</strong> success
+        <span class="muted">(95% CI ${pct(res.ci.low)} – ${pct(res.ci.high)} • ${res.successes}/${res.trials} hands • seed ${escapeHtml(res.seed)})</span></p>
+      ${res.bricks.length ? `
+        <p class="muted">Most common bricks:</p>
+        <ol class="sim-bricks">${res.bricks.map(b => `<li>${escapeHtml(b.hand)} <span class="muted">×${b.count}</span></li>`).join("")}</ol>
+      ` : ""}
+    `;
+  }
+
+  btn.addEventListener("click", () => {
+    if (btn.textContent === "Stop") { runId++; btn.textContent = "Run"; bar.hidden = true; return; }
+    run();
+  });
+  input.addEventListener("keydown", (e) => { if (e.key === "Enter") { e.preventDefault(); run(); } });
+}
+
+/* ===== END: HAND SIMULATION ===== */
+
+
+/* =========================
+   17) DECK EDITOR (edit mode, local persistence, JSON export)
+========================= */
+
+// Saved edits for a deck path (or null)
+function loadEdits(path) {
+  if (!path) return null;
+  try {
+    const raw = localStorage.getItem(EDITS_KEY + path);
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    console.warn("Ignoring unreadable deck edits", e);
+    return null;
+  }
+}
+
+function saveEdits(path, deck) {
+  if (!path) return;
+  if (deck) localStorage.setItem(EDITS_KEY + path, JSON.stringify(deck));
+  else      localStorage.removeItem(EDITS_KEY + path);
+}
+
+// --- pure edit ops (mutate the given deck) ---
+
+function sectionList(deck, section) {
+  deck.sections = deck.sections || {};
+  return (deck.sections[section] = deck.sections[section] || []);
+}
+
+// Change a card's qty by delta; drops the card at 0
+function editQty(deck, section, key, delta) {
+  const list = sectionList(deck, section);
+  const idx  = list.findIndex(c => cardKey(c) === key);
+  if (idx < 0) return null;
+  const card = list[idx];
+  const next = (Number(card.qty) || 1) + delta;
+  if (next <= 0) list.splice(idx, 1);
+  else card.qty = next;
+  return card;
+}
+
+function removeCard(deck, section, key) {
+  const list = sectionList(deck, section);
+  const idx  = list.findIndex(c => cardKey(c) === key);
+  if (idx >= 0) list.splice(idx, 1);
+}
+
+// Add copies of a card to a section (merges with an existing entry)
+function addCard(deck, section, card, qty = 1) {
+  const list = sectionList(deck, section);
+  const have = list.find(c => cardKey(c) === cardKey(card));
+  if (have) have.qty = (Number(have.qty) || 1) + qty;
+  else list.push({ ...card, qty });
+}
+
+// Move one copy from one section to another
+function moveCard(deck, from, to, key) {
+  if (from === to) return;
+  const card = sectionList(deck, from).find(c => cardKey(c) === key);
+  if (!card) return;
+  const copy = { ...card };
+  editQty(deck, from, key, -1);
+  addCard(deck, to, copy, 1);
+}
+
+// --- UI ---
+
+// Per-tile controls (edit mode only)
+function editControls() {
+  return `
+    <div class="edit-controls">
+      <button type="button" class="btn btn-sm" data-edit="dec" aria-label="One less">−</button>
+      <button type="button" class="btn btn-sm" data-edit="inc" aria-label="One more">+</button>
+      <select data-edit="move" aria-label="Move one copy to">
+        <option value="">Move…</option>
+        <option value="main">→ Main</option>
+        <option value="extra">→ Extra</option>
+        <option value="side">→ Side</option>
+      </select>
+      <button type="button" class="btn btn-sm" data-edit="remove" aria-label="Remove card">✕</button>
+    </div>
+  `;
+}
+
+// Editor toolbar (deck header, edit mode only)
+function deckEditorBlock(deck) {
+  return `
+    <div class="deck-editor" id="deckEditor">
+      <div class="de-meta">
+        <label>Name <input id="deName" type="text" value="${escapeHtml(deck.name || "")}"></label>
+        <label>Author <input id="deAuthor" type="text" value="${escapeHtml(deck.author || "")}"></label>
+        <label>Style <input id="deStyle" type="text" value="${escapeHtml(deck.deckstyle || "")}"></label>
+      </div>
+      <form class="de-add" id="deAddForm">
+        <input id="deAddQuery" type="search" placeholder="Add card by id or name…" aria-label="Card id or name">
+        <select id="deAddSection" aria-label="Add to section">
+          <option value="main">Main</option>
+          <option value="extra">Extra</option>
+          <option value="side">Side</option>
+        </select>
+        <button class="btn btn-sm" type="submit">Add</button>
+      </form>
+      <ul class="de-results" id="deResults"></ul>
+      <div class="de-actions">
+        <button id="deDiscard" class="btn btn-sm" type="button" ${WORKING_DECK ? "" : "disabled"}>Discard edits</button>
+        <span class="de-status muted" id="deStatus" aria-live="polite"></span>
+      </div>
+    </div>
+  `;
+}
+
+// Update the title + meta line without touching the rest of the header
+function refreshDeckHeader(root, deck) {
+  const h1 = root.querySelector(".deck-header h1");
+  const meta = root.querySelector(".deck-header .deck-meta");
+  const total = sumQty(deck.sections?.main) + sumQty(deck.sections?.extra) + sumQty(deck.sections?.side);
+  if (h1) h1.textContent = deck.name || "Deck";
+  if (meta) meta.innerHTML = `${WORKING_DECK ? `<span class="edited-flag">Edited locally</span> • ` : ""}Author: ${escapeHtml(deck.author || "Unknown")} • Total: ${total} • Style: ${escapeHtml(deck.deckstyle || "Unknown Style")}`;
+}
+
+// Redraw everything that follows the deck list (post-side when a plan is applied)
+function refreshDeckViews(root) {
+  const view = sidedDeck(activeDeck());
+  refreshDeckHeader(root, view);
+  refreshLegality(root, view);
+  refreshDrawTools(root);
+  refreshSections(root, view);
+}
+
+// Persist WORKING_DECK + redraw what an edit can change (deck editor, side plans)
+function commitDeckEdit(root, msg = "Saved locally.") {
+  saveEdits(CURRENT_DECK_SRC, WORKING_DECK);
+  refreshDeckViews(root);
+  const discard = root.querySelector("#deDiscard");
+  if (discard) discard.disabled = false;
+  const status = root.querySelector("#deStatus");
+  if (status) status.textContent = msg;
+}
+
+// Editable copy (created on the first edit)
+function ensureWorkingDeck() {
+  if (!WORKING_DECK) WORKING_DECK = cloneDeck(CURRENT_DECK);
+  return WORKING_DECK;
+}
+
+function wireDeckEditor(root, deck) {
+  const toggle = root.querySelector("#editDeckBtn");
+  if (toggle && !toggle.dataset.wired) {
+    toggle.addEventListener("click", () => {
+      EDIT_MODE = !EDIT_MODE;
+      clearDrawn();
+      render(activeDeck() || deck);
+    });
+    toggle.dataset.wired = "1";
+  }
+
+  const commit = (msg) => commitDeckEdit(root, msg);
+
+  // Tile controls (delegated once on the mount; tiles are re-rendered on every edit)
+  if (!root.dataset.editWired) {
+    const onTile = (e) => {
+      const ctl = e.target.closest("[data-edit]");
+      const tile = e.target.closest(".card-tile");
+      const sec = e.target.closest(".deck-section");
+      if (!EDIT_MODE || !ctl || !tile || !sec?.dataset.section) return;
+      const key = tile.dataset.key, section = sec.dataset.section;
+      const work = ensureWorkingDeck();
+
+      switch (ctl.dataset.edit) {
+        case "inc":    editQty(work, section, key, +1); break;
+        case "dec":    editQty(work, section, key, -1); break;
+        case "remove": removeCard(work, section, key); break;
+        case "move":
+          if (!ctl.value) return;
+          moveCard(work, section, ctl.value, key);
+          break;
+        default: return;
+      }
+      commit();
+    };
+    root.addEventListener("click",  (e) => { if (e.target.matches?.("button[data-edit]")) onTile(e); });
+    root.addEventListener("change", (e) => { if (e.target.matches?.("select[data-edit]")) onTile(e); });
+    root.dataset.editWired = "1";
+  }
+
+  const editor = root.querySelector("#deckEditor");
+  if (!editor || editor.dataset.wired) return;
+  editor.dataset.wired = "1";
+
+  const status = editor.querySelector("#deStatus");
+  const say = (msg) => { if (status) status.textContent = msg; };
+
+  // Name / author / style
+  [["#deName", "name"], ["#deAuthor", "author"], ["#deStyle", "deckstyle"]].forEach(([sel, field]) => {
+    const input = editor.querySelector(sel);
+    input?.addEventListener("input", debounce(() => {
+      ensureWorkingDeck()[field] = input.value.trim();
+      commit();
+    }, 250));
+  });
+
+  // Add by id (fetchCardsByIds) or name (fuzzy search → pick)
+  const form    = editor.querySelector("#deAddForm");
+  const query   = editor.querySelector("#deAddQuery");
+  const target  = editor.querySelector("#deAddSection");
+  const results = editor.querySelector("#deResults");
+  let found = [];
+
+  const addApiCard = (apiCard) => {
+    addCard(ensureWorkingDeck(), target.value, toOurCardFromYGOPRO(apiCard, 1));
+    results.innerHTML = "";
+    query.value = "";
+    commit(`Added ${apiCard.name} to ${SECTION_LABELS[target.value]}.`);
+  };
+
+  form?.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const text = query.value.trim();
+    if (!text) return;
+    say("Looking up…");
+    try {
+      if (/^\d+$/.test(text)) {
+        const apiCard = (await fetchCardsByIds([Number(text)])).get(Number(text));
+        if (!apiCard) { say(`No card with id ${text}.`); return; }
+        addApiCard(apiCard);
+        return;
+      }
+      found = await fetchCardsByName(text);
+      const exact = found.find(c => norm(c.name) === norm(text));
+      if (exact) { addApiCard(exact); return; }
+      if (!found.length) { say(`No card matching “${text}”.`); return; }
+      results.innerHTML = found.slice(0, 10).map((c, i) =>
+        `<li><button type="button" class="btn btn-sm" data-pick="${i}">${escapeHtml(c.name)}</button></li>`).join("");
+      say(`${found.length} match${found.length === 1 ? "" : "es"} — pick one.`);
+    } catch (err) {
+      console.error(err);
+      say("Lookup failed (offline?).");
+    }
+  });
+
+  results?.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-pick]");
+    if (btn) addApiCard(found[Number(btn.dataset.pick)]);
+  });
+
+  // Back to the file version
+  editor.querySelector("#deDiscard")?.addEventListener("click", () => {
+    if (!confirm("Discard local edits and go back to the file version?")) return;
+    WORKING_DECK = null;
+    saveEdits(CURRENT_DECK_SRC, null);
+    clearDrawn();
+    render(CURRENT_DECK);
+  });
+}
+
+/* ===== END: DECK EDITOR ===== */
+
+
+/* =========================
+   18) DECK LIBRARY (imported decks in localStorage → generated deckboxes)
+========================= */
+
+// [{ id, name, created, deck, report }, ...]
+function readLibrary() {
+  try {
+    const list = JSON.parse(localStorage.getItem(LIBRARY_KEY) || "[]");
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    console.warn("Ignoring unreadable deck library", e);
+    return [];
+  }
+}
+
+function writeLibrary(list) {
+  localStorage.setItem(LIBRARY_KEY, JSON.stringify(list));
+}
+
+function libraryEntry(id) {
+  return readLibrary().find(e => e.id === id) || null;
+}
+
+// Save a deck (+ its import report) into the library; returns the new entry
+function addToLibrary(deck, report = null) {
+  const entry = {
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    name: deck.name || "Imported Deck",
+    created: new Date().toISOString(),
+    deck,
+    report,
+  };
+  writeLibrary([...readLibrary(), entry]);
+  renderLibraryBoxes();
+  return entry;
+}
+
+function renameLibraryDeck(id, name) {
+  const list = readLibrary();
+  const entry = list.find(e => e.id === id);
+  if (!entry || !name) return;
+  entry.name = name;
+  entry.deck.name = name;
+  writeLibrary(list);
+  renderLibraryBoxes();
+}
+
+function deleteLibraryDeck(id) {
+  writeLibrary(readLibrary().filter(e => e.id !== id));
+  saveEdits(LIBRARY_PREFIX + id, null);
+  renderLibraryBoxes();
+}
+
+// (Re)build the generated deckboxes after the built-in ones
+function renderLibraryBoxes() {
+  const wrap = document.querySelector(".deckboxes");
+  if (!wrap) return;
+  wrap.querySelectorAll(".library-box").forEach(el => el.remove());
+
+  const activePath = wrap.querySelector(".deckbox.is-active")?.getAttribute("data-deck");
+  readLibrary().forEach(entry => {
+    const path = LIBRARY_PREFIX + entry.id;
+    wrap.insertAdjacentHTML("beforeend", `
+      <div class="library-box" data-lib-id="${escapeHtml(entry.id)}">
+        <button class="deckbox is-library${path === activePath ? " is-active" : ""}" data-deck="${escapeHtml(path)}" data-deck-key="lib-${escapeHtml(entry.id)}">
+          <span class="deck-label">${escapeHtml(entry.name)}</span>
+        </button>
+        <div class="library-actions">
+          <button type="button" class="btn btn-sm" data-lib-action="rename" aria-label="Rename ${escapeHtml(entry.name)}">Rename</button>
+          <button type="button" class="btn btn-sm" data-lib-action="delete" aria-label="Delete ${escapeHtml(entry.name)}">Delete</button>
+        </div>
+      </div>
+    `);
+  });
+
+  preloadDeckCounts(wrap.querySelectorAll(".deckbox.is-library"));
+  applyChooserView();
+}
+
+// Unknown-id notice for the open library deck (from its import report)
+function importReportBlock() {
+  if (!String(CURRENT_DECK_SRC).startsWith(LIBRARY_PREFIX)) return "";
+  const report = libraryEntry(CURRENT_DECK_SRC.slice(LIBRARY_PREFIX.length))?.report;
+  const unknown = report?.unknown || [], skipped = report?.skipped || [];
+  if (!unknown.length && !skipped.length) return "";
+  const parts = [];
+  if (unknown.length) parts.push(`${unknown.length} unknown card id(s)`);
+  if (skipped.length) parts.push(`${skipped.length} skipped line(s)`);
+  return `
+    <details class="import-report">
+      <summary>Import report: ${parts.join(", ")}</summary>
+      <ul>
+        ${unknown.map(u => `<li><code>${u.id}</code> ×${u.qty} — ${SECTION_LABELS[u.section] || u.section}</li>`).join("")}
+        ${skipped.map(k => `<li>Line ${k.line}: ${escapeHtml(k.text)} — ${SECTION_LABELS[k.section] || k.section}</li>`).join("")}
+      </ul>
+    </details>
+  `;
+}
+
+// Open a library deck as if its deckbox was clicked
+function openLibraryDeck(id) {
+  const box = document.querySelector(`.deckbox[data-deck="${LIBRARY_PREFIX}${id}"]`);
+  if (box && !box.classList.contains("is-active")) box.click();
+}
+
+// Rename / delete buttons under library deckboxes (delegated)
+function wireLibraryActions() {
+  const wrap = document.querySelector(".deckboxes");
+  if (!wrap || wrap.dataset.libWired) return;
+  wrap.dataset.libWired = "1";
+
+  wrap.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-lib-action]");
+    const id  = btn?.closest(".library-box")?.dataset.libId;
+    if (!btn || !id) return;
+    const entry = libraryEntry(id);
+    if (!entry) return;
+
+    if (btn.dataset.libAction === "rename") {
+      const name = prompt("Rename deck:", entry.name)?.trim();
+      if (!name) return;
+      renameLibraryDeck(id, name);
+
+      // Keep the open deck (and its local edits) in step
+      if (CURRENT_DECK_SRC === LIBRARY_PREFIX + id) {
+        CURRENT_DECK.name = name;
+        if (WORKING_DECK) { WORKING_DECK.name = name; saveEdits(CURRENT_DECK_SRC, WORKING_DECK); }
+        const root = document.getElementById("deck-root");
+        if (root) refreshDeckHeader(root, sidedDeck(activeDeck()));
+      }
+    } else if (btn.dataset.libAction === "delete") {
+      if (!confirm(`Delete “${entry.name}” from your library?`)) return;
+      const wasOpen = CURRENT_DECK_SRC === LIBRARY_PREFIX + id;
+      deleteLibraryDeck(id);
+      if (wasOpen) {
+        const root = document.getElementById("deck-root");
+        if (root) root.innerHTML = `<p class="muted"></p>`;
+        CURRENT_DECK = null; WORKING_DECK = null; CURRENT_DECK_SRC = null;
+        writeUrlState({});
+      }
+    }
+  });
+}
+
+/* ===== END: DECK LIBRARY ===== */
+
+
+/* =========================
+   19) DECK COMPARISON (diff two decks / two versions of one deck)
+========================= */
+
+// Prefix for “the locally edited copy of <path>” in the compare pickers
+const EDITS_PREFIX = "edits:";
+
+// Every deck we can compare: each deckbox, plus its local edits if any
+function compareSources() {
+  const out = [];
+  document.querySelectorAll(".deckboxes .deckbox").forEach(box => {
+    const path = box.getAttribute("data-deck");
+    if (!path) return;
+    const name = box.querySelector(".deck-name")?.textContent.trim() || box.textContent.trim();
+    out.push({ value: path, label: name });
+    if (loadEdits(path)) out.push({ value: EDITS_PREFIX + path, label: `${name} (edited)` });
+  });
+  return out;
+}
+
+async function loadCompareSource(value) {
+  if (value.startsWith(EDITS_PREFIX)) {
+    const deck = loadEdits(value.slice(EDITS_PREFIX.length));
+    if (!deck) throw new Error("No local edits for that deck");
+    return deck;
+  }
+  return loadDeck(value);
+}
+
+// qty per cardKey in one section
+function qtyByKey(list) {
+  const m = new Map(); // key -> { card, qty }
+  (list || []).forEach(c => {
+    const k = cardKey(c);
+    const cur = m.get(k) || { card: c, qty: 0 };
+    cur.qty += Number(c.qty) || 1;
+    m.set(k, cur);
+  });
+  return m;
+}
+
+/**
+ * Per-section diff from deck A to deck B, matched with cardKey().
+ * Returns { main|extra|side: { added: [{card, qty}], removed: [{card, qty}],
+ *   changed: [{card, from, to}], same: [{card, qty}] } }
+ */
+function diffDecks(a, b) {
+  const out = {};
+  for (const section of ["main", "extra", "side"]) {
+    const qa = qtyByKey(a.sections?.[section]);
+    const qb = qtyByKey(b.sections?.[section]);
+    const d = { added: [], removed: [], changed: [], same: [] };
+    qa.forEach(({ card, qty }, k) => {
+      if (!qb.has(k)) d.removed.push({ card, qty });
+      else if (qb.get(k).qty !== qty) d.changed.push({ card, from: qty, to: qb.get(k).qty });
+      else d.same.push({ card, qty });
+    });
+    qb.forEach(({ card, qty }, k) => { if (!qa.has(k)) d.added.push({ card, qty }); });
+    out[section] = d;
+  }
+  return out;
+}
+
+// Summary numbers for the delta table
+function deckSummary(deck) {
+  const main = deck.sections?.main || [];
+  const kinds = { Monster: 0, Spell: 0, Trap: 0 };
+  main.forEach(c => { const k = cardKind(c); if (k in kinds) kinds[k] += Number(c.qty) || 1; });
+  const tags = {};
+  main.forEach(c => getFunctionTags(c).forEach(t => { tags[t] = (tags[t] || 0) + (Number(c.qty) || 1); }));
+  return { totals: sectionCounts(deck), kinds, tags };
+}
+
+// "+2" / "−1" / "0"
+const signed = (n) => n > 0 ? `+${n}` : n < 0 ? `−${-n}` : "0";
+
+function compareBlock(a, b, diff) {
+  const sa = deckSummary(a), sb = deckSummary(b);
+  const row = (label, x, y) => `<tr><td>${label}</td><td>${x}</td><td>${y}</td><td class="${y - x > 0 ? "is-up" : y - x < 0 ? "is-down" : ""}">${signed(y - x)}</td></tr>`;
+  const tagNames = [...new Set([...Object.keys(sa.tags), ...Object.keys(sb.tags)])].sort();
+
+  const sectionDiff = (key) => {
+    const d = diff[key];
+    const items = [
+      ...d.added.map(x => `<li class="is-added">+${x.qty} ${escapeHtml(x.card.name)}</li>`),
+      ...d.removed.map(x => `<li class="is-removed">−${x.qty} ${escapeHtml(x.card.name)}</li>`),
+      ...d.changed.map(x => `<li class="is-changed">${escapeHtml(x.card.name)}: ${x.from} → ${x.to} (${signed(x.to - x.from)})</li>`),
+    ];
+    return `
+      <section class="compare-section">
+        <h3>${SECTION_LABELS[key]} Deck <span class="muted">${sumQty(a.sections?.[key])} → ${sumQty(b.sections?.[key])}</span></h3>
+        ${items.length ? `<ul class="compare-list">${items.join("")}</ul>` : `<p class="muted">No changes.</p>`}
+        ${d.same.length ? `<p class="muted">${d.same.length} card(s) unchanged.</p>` : ""}
+      </section>
+    `;
+  };
+
+  return `
+    <div class="compare-summary">
+      <table class="compare-table">
+        <thead><tr><th></th><th>A</th><th>B</th><th>Δ</th></tr></thead>
+        <tbody>
+          ${row("Main", sa.totals.main, sb.totals.main)}
+          ${row("Extra", sa.totals.extra, sb.totals.extra)}
+          ${row("Side", sa.totals.side, sb.totals.side)}
+        </tbody>
+        <tbody>
+          ${["Monster", "Spell", "Trap"].map(k => row(`${k}s (Main)`, sa.kinds[k], sb.kinds[k])).join("")}
+        </tbody>
+        <tbody class="compare-tags">
+          ${tagNames.map(t => row(t.replace(/_/g, " "), sa.tags[t] || 0, sb.tags[t] || 0)).join("")}
+        </tbody>
+      </table>
+    </div>
+    <div class="compare-sections">
+      ${sectionDiff("main")}
+      ${sectionDiff("extra")}
+      ${sectionDiff("side")}
+    </div>
+  `;
+}
+
+// Compare view (replaces the deck view in #deck-root)
+function renderCompare(root, { a = "", b = "" } = {}) {
+  const sources = compareSources();
+  const current = CURRENT_DECK_SRC;
+  a = a || current || sources[0]?.value || "";
+  b = b || (sources.find(x => x.value === EDITS_PREFIX + a) || sources.find(x => x.value !== a))?.value || "";
+  const options = (sel) => sources.map(x => `<option value="${escapeHtml(x.value)}"${x.value === sel ? " selected" : ""}>${escapeHtml(x.label)}</option>`).join("");
+
+  root.innerHTML = `
+    <section class="deck-compare" id="deckCompare">
+      <header class="deck-header">
+        <h1>Compare Decks</h1>
+        <div class="compare-pickers">
+          <label>A <select id="cmpA">${options(a)}</select></label>
+          <button type="button" class="btn btn-sm" id="cmpSwap" aria-label="Swap A and B">⇄</button>
+          <label>B <select id="cmpB">${options(b)}</select></label>
+        </div>
+      </header>
+      <div id="cmpResult"><p class="muted">Loading…</p></div>
+    </section>
+  `;
+
+  const selA = root.querySelector("#cmpA"), selB = root.querySelector("#cmpB");
+  const out = root.querySelector("#cmpResult");
+
+  let runId = 0;
+  const update = async () => {
+    const myRun = ++runId;
+    try {
+      const [da, db] = await Promise.all([loadCompareSource(selA.value), loadCompareSource(selB.value)]);
+      if (myRun !== runId) return; // superseded by a newer pick
+      out.innerHTML = compareBlock(da, db, diffDecks(da, db));
+    } catch (e) {
+      if (myRun !== runId) return;
+      console.error(e);
+      out.innerHTML = `<p style="color:tomato">Couldn't compare (${escapeHtml(e.message)}).</p>`;
+    }
+  };
+
+  selA.addEventListener("change", update);
+  selB.addEventListener("change", update);
+  root.querySelector("#cmpSwap").addEventListener("click", () => {
+    [selA.value, selB.value] = [selB.value, selA.value];
+    update();
+  });
+  update();
+}
+
+/* ===== END: DECK COMPARISON ===== */
+
+
+/* =========================
+   20) SIDE PLANS (named per-matchup swaps, stored in deck.sidePlans)
+   plan: { name, going: ""|"first"|"second", notes, in: [{id, name, qty}], out: [{id, name, qty}] }
+========================= */
+
+const GOING_LABELS = { "": "either", first: "going first", second: "going second" };
+
+/**
+ * Check a plan against a deck: swapped-in cards must be in Side, swapped-out
+ * cards in Main (with enough copies), and the In/Out totals must match so
+ * deck sizes stay the same. Returns an array of messages (empty = valid).
+ */
+function validateSidePlan(deck, plan) {
+  const errors = [];
+  if (!plan?.name?.trim()) errors.push("Give the plan a name.");
+  const side = qtyByKey(deck.sections?.side), main = qtyByKey(deck.sections?.main);
+  const check = (list, pool, label) => (list || []).forEach(x => {
+    const have = pool.get(cardKey(x))?.qty || 0;
+    if (!have) errors.push(`${x.name} is not in the ${label} Deck.`);
+    else if (x.qty > have) errors.push(`${x.name}: plan uses ${x.qty}, ${label} Deck has ${have}.`);
+  });
+  check(plan.in, side, "Side");
+  check(plan.out, main, "Main");
+  const nIn = sumQty(plan.in), nOut = sumQty(plan.out);
+  if (nIn !== nOut) errors.push(`Sides ${nIn} in but ${nOut} out — deck sizes would change.`);
+  if (!nIn) errors.push("The plan doesn't swap any cards.");
+  return errors;
+}
+
+// Post-side copy of a deck (Main ⇄ Side swaps)
+function applySidePlan(deck, plan) {
+  const out = cloneDeck(deck);
+  const side = qtyByKey(deck.sections?.side), main = qtyByKey(deck.sections?.main);
+  (plan.in || []).forEach(x => {
+    const card = side.get(cardKey(x))?.card;
+    if (!card) return;
+    editQty(out, "side", cardKey(x), -x.qty);
+    addCard(out, "main", card, x.qty);
+  });
+  (plan.out || []).forEach(x => {
+    const card = main.get(cardKey(x))?.card;
+    if (!card) return;
+    editQty(out, "main", cardKey(x), -x.qty);
+    addCard(out, "side", card, x.qty);
+  });
+  return out;
+}
+
+// The deck as currently shown: post-side if a valid plan is applied (never while editing)
+function sidedDeck(deck) {
+  if (!APPLIED_PLAN || EDIT_MODE || validateSidePlan(deck, APPLIED_PLAN).length) return deck;
+  return applySidePlan(deck, APPLIED_PLAN);
+}
+
+// "+3 Dark Ruler No More, −2 Vampire Ghost"
+function planSummary(plan) {
+  return [
+    ...(plan.in  || []).map(x => `+${x.qty} ${x.name}`),
+    ...(plan.out || []).map(x => `−${x.qty} ${x.name}`),
+  ].join(", ");
+}
+
+function sidePlansBlock() {
+  return `
+    <section class="side-plans" id="sidePlans">
+      <header>
+        <strong>Side Plans</strong>
+        <div class="controls">
+          <button type="button" class="btn btn-sm" id="spNew">New plan</button>
+          <button type="button" class="btn btn-sm" id="spPrint">Print cheat sheet</button>
+        </div>
+      </header>
+      <p class="sp-applied" id="spApplied" hidden></p>
+      <ul class="sp-list" id="spList"></ul>
+      <form class="sp-form" id="spForm" hidden></form>
+    </section>
+  `;
+}
+
+// Plan form: number inputs for every Side card (in) and Main card (out)
+function sidePlanForm(deck, plan = {}) {
+  const picked = (list, c) => (list || []).find(x => cardKey(x) === cardKey(c))?.qty || 0;
+  const rows = (cards, list, dir) => qtyByKey(cards).size
+    ? [...qtyByKey(cards).values()].map(({ card, qty }) => `
+        <label class="sp-row">
+          <input type="number" min="0" max="${qty}" value="${picked(list, card)}" data-sp-${dir}="${escapeHtml(cardKey(card))}">
+          <span>${escapeHtml(card.name)} <span class="muted">(${qty})</span></span>
+        </label>`).join("")
+    : `<p class="muted">No cards.</p>`;
+  return `
+    <div class="sp-meta">
+      <label>Name <input type="text" id="spName" value="${escapeHtml(plan.name || "")}" placeholder="vs Snake-Eye"></label>
+      <label>Going
+        <select id="spGoing">
+          ${Object.entries(GOING_LABELS).map(([v, l]) => `<option value="${v}"${(plan.going || "") === v ? " selected" : ""}>${l}</option>`).join("")}
+        </select>
+      </label>
+    </div>
+    <div class="sp-columns">
+      <fieldset><legend>In from Side (+)</legend>${rows(deck.sections?.side, plan.in, "in")}</fieldset>
+      <fieldset><legend>Out of Main (−)</legend>${rows(deck.sections?.main, plan.out, "out")}</fieldset>
+    </div>
+    <textarea id="spNotes" rows="2" placeholder="Notes (optional)">${escapeHtml(plan.notes || "")}</textarea>
+    <ul class="sp-errors" id="spErrors"></ul>
+    <div class="controls">
+      <button type="submit" class="btn btn-sm primary">Save plan</button>
+      <button type="button" class="btn btn-sm" id="spCancel">Cancel</button>
+    </div>
+  `;
+}
+
+// Printable cheat sheet (new window → browser print dialog)
+function printSidePlans(deck) {
+  const plans = deck.sidePlans || [];
+  const list = (items) => (items || []).map(x => `<li>${x.qty}× ${escapeHtml(x.name)}</li>`).join("") || "<li>—</li>";
+  const win = window.open("", "_blank");
+  if (!win) { alert("Allow pop-ups to print the cheat sheet."); return; }
+  win.document.write(`<!doctype html><html><head><meta charset="utf-8"><title>${escapeHtml(deck.name || "Deck")} — Side Plans</title>
+    <style>
+      body { font: 13px/1.4 system-ui, sans-serif; margin: 1.5cm; color: #000; }
+      h1 { font-size: 18px; margin: 0 0 .5em; }
+      .plan { break-inside: avoid; border: 1px solid #999; border-radius: 6px; padding: .5em .8em; margin: 0 0 .8em; }
+      .plan h2 { font-size: 14px; margin: 0 0 .3em; }
+      .cols { display: grid; grid-template-columns: 1fr 1fr; gap: 1em; }
+      ul { margin: .2em 0; padding-left: 1.2em; }
+      .notes { margin: .3em 0 0; font-style: italic; }
+    </style></head><body>
+    <h1>${escapeHtml(deck.name || "Deck")} — Side Plans</h1>
+    ${plans.length ? plans.map(p => `
+      <div class="plan">
+        <h2>${escapeHtml(p.name)} <small>(${GOING_LABELS[p.going || ""]})</small></h2>
+        <div class="cols">
+          <div><strong>IN</strong><ul>${list(p.in)}</ul></div>
+          <div><strong>OUT</strong><ul>${list(p.out)}</ul></div>
+        </div>
+        ${p.notes ? `<p class="notes">${escapeHtml(p.notes)}</p>` : ""}
+      </div>`).join("") : "<p>No side plans yet.</p>"}
+  </body></html>`);
+  win.document.close();
+  win.focus();
+  win.print();
+}
+
+function wireSidePlans(root, deck) {
+  const panel = root.querySelector("#sidePlans");
+  if (!panel || panel.dataset.wired) return;
+  panel.dataset.wired = "1";
+
+  const q = (sel) => panel.querySelector(sel);
+  const form = q("#spForm");
+  const plans = () => (activeDeck() || deck).sidePlans || [];
+
+  // Plans live on the working deck: same save + redraw path as the editor
+  const savePlans = (next) => {
+    ensureWorkingDeck().sidePlans = next;
+    commitDeckEdit(root, "Side plans saved.");
+  };
+
+  // Redraw the deck views (header, legality, draw tools, sections) after applying / reverting a plan
+  const redraw = () => {
+    refreshDeckViews(root);
+    refreshApplied();
+  };
+
+  const refreshApplied = () => {
+    const note = q("#spApplied");
+    if (!note) return;
+    note.hidden = !APPLIED_PLAN;
+    note.innerHTML = APPLIED_PLAN
+      ? `Showing post-side lists for <strong>${escapeHtml(APPLIED_PLAN.name)}</strong> (${GOING_LABELS[APPLIED_PLAN.going || ""]}). <button type="button" class="btn btn-sm" data-sp-revert>Back to pre-side</button>`
+      : "";
+  };
+
+  const renderList = () => {
+    const base = activeDeck() || deck;
+    q("#spList").innerHTML = plans().length ? plans().map((p, i) => {
+      const errors = validateSidePlan(base, p);
+      return `
+        <li class="sp-plan${errors.length ? " is-invalid" : ""}" data-index="${i}">
+          <div>
+            <strong>${escapeHtml(p.name)}</strong> <span class="muted">${GOING_LABELS[p.going || ""]}</span>
+            <div class="sp-summary">${escapeHtml(planSummary(p))}</div>
+            ${errors.length ? `<ul class="sp-errors">${errors.map(e => `<li>${escapeHtml(e)}</li>`).join("")}</ul>` : ""}
+          </div>
+          <div class="controls">
+            <button type="button" class="btn btn-sm" data-sp-act="apply"${errors.length ? " disabled" : ""}>Apply</button>
+            <button type="button" class="btn btn-sm" data-sp-act="edit">Edit</button>
+            <button type="button" class="btn btn-sm" data-sp-act="delete">Delete</button>
+          </div>
+        </li>
+      `;
+    }).join("") : `<li class="muted">No side plans yet.</li>`;
+  };
+
+  const openForm = (index = -1) => {
+    form.dataset.index = String(index);
+    form.innerHTML = sidePlanForm(activeDeck() || deck, plans()[index]);
+    form.hidden = false;
+  };
+
+  // Collect the form into a plan object
+  const readForm = () => {
+    const base = activeDeck() || deck;
+    const pick = (dir, section) => {
+      const pool = qtyByKey(base.sections?.[section]);
+      return [...form.querySelectorAll(`[data-sp-${dir}]`)]
+        .map(input => ({ key: input.getAttribute(`data-sp-${dir}`), qty: Math.max(0, Number(input.value) || 0) }))
+        .filter(x => x.qty > 0 && pool.has(x.key))
+        .map(x => { const c = pool.get(x.key).card; return { id: c.id, name: c.name, qty: x.qty }; });
+    };
+    return {
+      name: form.querySelector("#spName").value.trim(),
+      going: form.querySelector("#spGoing").value,
+      notes: form.querySelector("#spNotes").value.trim(),
+      in: pick("in", "side"),
+      out: pick("out", "main"),
+    };
+  };
+
+  q("#spNew").addEventListener("click", () => openForm(-1));
+  q("#spPrint").addEventListener("click", () => printSidePlans(activeDeck() || deck));
+
+  // Live validation while filling the form
+  form.addEventListener("input", () => {
+    const errors = validateSidePlan(activeDeck() || deck, readForm());
+    form.querySelector("#spErrors").innerHTML = errors.map(e => `<li>${escapeHtml(e)}</li>`).join("");
+  });
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const plan = readForm();
+    const errors = validateSidePlan(activeDeck() || deck, plan);
+    if (errors.length) {
+      form.querySelector("#spErrors").innerHTML = errors.map(x => `<li>${escapeHtml(x)}</li>`).join("");
+      return;
+    }
+    const next = plans().slice();
+    const index = Number(form.dataset.index);
+    if (index >= 0) next[index] = plan; else next.push(plan);
+    savePlans(next);
+    form.hidden = true;
+    renderList();
+  });
+
+  panel.addEventListener("click", (e) => {
+    if (e.target.closest("#spCancel")) { form.hidden = true; return; }
+    if (e.target.closest("[data-sp-revert]")) { APPLIED_PLAN = null; redraw(); return; }
+
+    const btn = e.target.closest("[data-sp-act]");
+    const index = Number(btn?.closest("[data-index]")?.dataset.index);
+    const plan = plans()[index];
+    if (!btn || !plan) return;
+
+    switch (btn.dataset.spAct) {
+      case "apply":  APPLIED_PLAN = plan; redraw(); break;
+      case "edit":   openForm(index); break;
+      case "delete":
+        if (!confirm(`Delete side plan “${plan.name}”?`)) return;
+        if (APPLIED_PLAN === plan) { APPLIED_PLAN = null; redraw(); }
+        savePlans(plans().filter((_, i) => i !== index));
+        renderList();
+        break;
+    }
+  });
+
+  renderList();
+  refreshApplied();
+}
+
+/* ===== END: SIDE PLANS ===== */
+
+
+/* =========================
+   21) DEEP LINKS (deck, filters and drawn hand in the URL)
+   ?deck=darkstorm&q=starter&kinds=monster,spell&lv=1-4&fn=starter&hand=<id>&hand=<id>&pool=side&seed=k3x9q2&go=second&turn=2
+========================= */
+
+const URL_KINDS = ["Monster", "Spell", "Trap"];
+
+// True while the page is being driven by the URL (don't write it back)
+let URL_RESTORING = false;
+
+// URL state → query string ("" when nothing is selected)
+function buildUrlState({ deck = "", filters = {}, hand = [], pool = {}, draw = {} } = {}) {
+  const params = new URLSearchParams();
+  if (!deck) return "";
+  params.set("deck", deck);
+
+  if (filters.text) params.set("q", filters.text);
+  const kinds = URL_KINDS.filter(k => filters.kinds?.[k] !== false);
+  if (kinds.length < URL_KINDS.length) params.set("kinds", kinds.map(k => k.toLowerCase()).join(",") || "none");
+  if (filters.levelMin || filters.levelMax) params.set("lv", `${filters.levelMin || ""}-${filters.levelMax || ""}`);
+  if (filters.fnTag) params.set("fn", filters.fnTag);
+
+  hand.forEach(id => params.append("hand", id));
+  const poolParts = ["side", "extra"].filter(k => pool[k]);
+  if (poolParts.length) params.set("pool", poolParts.join(","));
+  if (hand.length && draw.seed) params.set("seed", draw.seed);
+  if (hand.length && draw.going === "second") params.set("go", "second");
+  if (hand.length && draw.turn > 1) params.set("turn", draw.turn);
+
+  return "?" + params.toString();
+}
+
+// Query string → URL state (same shape buildUrlState takes)
+function readUrlState(search = location.search) {
+  logFn('readUrlState', search);
+  const params = new URLSearchParams(search);
+  const kindsParam = params.get("kinds");
+  const kinds = Object.fromEntries(URL_KINDS.map(k => [
+    k, kindsParam == null || kindsParam.split(",").includes(k.toLowerCase()),
+  ]));
+  const [min, max] = (params.get("lv") || "").split("-");
+  const pool = (params.get("pool") || "").split(",");
+
+  return {
+    deck: params.get("deck") || "",
+    filters: {
+      text: params.get("q") || "",
+      kinds,
+      levelMin: Number(min) || null,
+      levelMax: Number(max) || null,
+      fnTag: params.get("fn") || "",
+    },
+    hand: params.getAll("hand"),
+    pool: { side: pool.includes("side"), extra: pool.includes("extra") },
+    draw: {
+      seed: params.get("seed") || "",
+      going: params.get("go") === "second" ? "second" : "first",
+      turn: Number(params.get("turn")) || 1,
+    },
+  };
+}
+
+// Current page → URL state (raw input values, not readFilters' normalized ones)
+function pageUrlState(root) {
+  const q = (sel) => root?.querySelector(sel);
+  return {
+    deck: document.querySelector(".deckboxes .deckbox.is-active")?.dataset.deckKey || "",
+    filters: {
+      text: q("#filterText")?.value.trim() || "",
+      kinds: {
+        Monster: q("#kindMonster")?.checked !== false,
+        Spell:   q("#kindSpell")?.checked   !== false,
+        Trap:    q("#kindTrap")?.checked    !== false,
+      },
+      levelMin: Number(q("#levelMin")?.value) || null,
+      levelMax: Number(q("#levelMax")?.value) || null,
+      fnTag: q("#functionFilter")?.value || "",
+    },
+    hand: CURRENT_HAND.map(cardIdOf),
+    pool: { side: !!q("#htIncludeSide")?.checked, extra: !!q("#htIncludeExtra")?.checked },
+    draw: q("#handTester")?.drawInfo?.() || {},
+  };
+}
+
+// Replace (or push) the URL when it changed
+function writeUrlState(state, { push = false } = {}) {
+  if (URL_RESTORING) return;
+  const url = location.pathname + buildUrlState(state) + location.hash;
+  if (url === location.pathname + location.search + location.hash) return;
+  history[push ? "pushState" : "replaceState"](null, "", url);
+}
+
+// Put URL filter values into the filter inputs
+function applyUrlFilters(root, f) {
+  const q = (sel) => root.querySelector(sel);
+  if (q("#filterText"))  q("#filterText").value = f.text;
+  URL_KINDS.forEach(k => { const el = q(`#kind${k}`); if (el) el.checked = f.kinds[k]; });
+  if (q("#levelMin")) q("#levelMin").value = f.levelMin ?? "";
+  if (q("#levelMax")) q("#levelMax").value = f.levelMax ?? "";
+  const fn = q("#functionFilter");
+  if (fn) fn.value = [...fn.options].some(o => o.value === f.fnTag) ? f.fnTag : "";
+}
+
+/**
+ * Drive the page from the URL (initial load + back/forward).
+ * toggleBox(btn) opens/closes a deckbox exactly like a click does.
+ */
+async function restoreUrlState(root, toggleBox) {
+  const state = readUrlState();
+  const active = document.querySelector(".deckboxes .deckbox.is-active");
+  const box = state.deck
+    ? [...document.querySelectorAll(".deckboxes .deckbox")].find(b => b.dataset.deckKey === state.deck)
+    : null;
+
+  URL_RESTORING = true;
+  try {
+    if (!box) {
+      if (active) await toggleBox(active);
+      return;
+    }
+    if (box !== active) await toggleBox(box);
+    if (!root.querySelector("#deckControls")) return;
+
+    applyUrlFilters(root, state.filters);
+    refreshSections(root, activeDeck());
+    root.querySelector("#handTester")?.setHand?.(state.hand, { includeSide: state.pool.side, includeExtra: state.pool.extra, ...state.draw });
+  } finally {
+    URL_RESTORING = false;
+  }
+}
+
+/* ===== END: DEEP LINKS ===== */
+
+
+/* =========================
+   22) SORT + GROUP (deck sections; modes saved per deck path)
+========================= */
+
+// Level, Rank or Link rating (Link stored negative in the bundled files)
+const starsOf = (card) => card.level ?? card.rank ?? (card.link != null ? Math.abs(card.link) : null);
+
+const KIND_ORDER = ["Monster", "Spell", "Trap", "Other"];
+
+// value: sort key (null/undefined sorts last); desc: biggest first
+const SORT_MODES = {
+  file:  { label: "File order" },
+  name:  { label: "Name",               value: (c) => norm(c.name) },
+  stars: { label: "Level / Rank / Link", value: starsOf,               desc: true },
+  atk:   { label: "ATK",                value: (c) => c.atk,          desc: true },
+  def:   { label: "DEF",                value: (c) => c.def,          desc: true },
+  qty:   { label: "Copies",             value: (c) => Number(c.qty) || 1, desc: true },
+  kind:  { label: "Card kind",          value: (c) => KIND_ORDER.indexOf(cardKind(c)) },
+};
+
+// of: group names for a card (function tags can put a card in several groups)
+const GROUP_MODES = {
+  none:      { label: "No grouping" },
+  kind:      { label: "Monster / Spell / Trap", of: (c) => [cardKind(c)], order: KIND_ORDER },
+  attribute: { label: "Attribute",        of: (c) => [c.attribute ? String(c.attribute).toUpperCase() : "No attribute"] },
+  archetype: { label: "Archetype",        of: (c) => [c.archetype || "No archetype"] },
+  function:  { label: "Function tag",     of: (c) => { const tags = getFunctionTags(c); return tags.length ? tags : ["untagged"]; } },
+};
+
+// Stable sort by mode; ties (and missing values) fall back to name
+function sortCards(cards, mode = "file") {
+  const m = SORT_MODES[mode];
+  if (!m?.value) return cards.slice();
+  const byName = (a, b) => norm(a.name).localeCompare(norm(b.name));
+  return cards.slice().sort((a, b) => {
+    const x = m.value(a), y = m.value(b);
+    if (x == null && y == null) return byName(a, b);
+    if (x == null) return 1;
+    if (y == null) return -1;
+    const d = typeof x === "string" ? x.localeCompare(y) : x - y;
+    return (m.desc ? -d : d) || byName(a, b);
+  });
+}
+
+// [{ label, cards }] in display order; one unlabeled group when not grouping
+function groupCards(cards, mode = "none") {
+  const m = GROUP_MODES[mode];
+  if (!m?.of) return [{ label: null, cards }];
+
+  const groups = new Map();
+  cards.forEach(c => m.of(c).forEach(name => {
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(c);
+  }));
+
+  // Fixed order where there is one, else alphabetical with the “No …” buckets last
+  const rank = (name) => m.order ? m.order.indexOf(name) : (/^(no |untagged)/i.test(name) ? 1 : 0);
+  return [...groups.entries()]
+    .sort(([a], [b]) => (rank(a) - rank(b)) || (m.order ? 0 : a.localeCompare(b)))
+    .map(([label, list]) => ({ label: mode === "function" ? label.replace(/_/g, " ") : label, cards: list }));
+}
+
+function loadDeckView(path) {
+  const fallback = { sort: "file", group: "none" };
+  if (!path) return fallback;
+  try {
+    const saved = JSON.parse(localStorage.getItem(VIEW_KEY + path) || "null");
+    return {
+      sort:  SORT_MODES[saved?.sort]   ? saved.sort  : fallback.sort,
+      group: GROUP_MODES[saved?.group] ? saved.group : fallback.group,
+    };
+  } catch (e) {
+    console.warn("Ignoring unreadable deck view", e);
+    return fallback;
+  }
+}
+
+function saveDeckView(path, view) {
+  if (path) localStorage.setItem(VIEW_KEY + path, JSON.stringify(view));
+}
+
+function viewControlsBlock() {
+  const options = (modes, current) => Object.entries(modes)
+    .map(([key, m]) => `<option value="${key}"${key === current ? " selected" : ""}>${m.label}</option>`).join("");
+  return `
+    <div class="view-controls" id="viewControls">
+      <label>Sort <select id="sortMode">${options(SORT_MODES, DECK_VIEW.sort)}</select></label>
+      <label>Group <select id="groupMode">${options(GROUP_MODES, DECK_VIEW.group)}</select></label>
+    </div>
+  `;
+}
+
+function wireViewControls(root, deck) {
+  const wrap = root.querySelector("#viewControls");
+  if (!wrap || wrap.dataset.wired) return;
+  wrap.dataset.wired = "1";
+
+  wrap.addEventListener("change", () => {
+    DECK_VIEW = {
+      sort:  wrap.querySelector("#sortMode").value,
+      group: wrap.querySelector("#groupMode").value,
+    };
+    saveDeckView(CURRENT_DECK_SRC, DECK_VIEW);
+    refreshSections(root, deck);
+  });
+}
+
+/* ===== END: SORT + GROUP ===== */
+
+
+/* =========================
+   23) DECK STATS (counts weighted by qty → inline SVG charts)
+========================= */
+
+const STAT_SCOPES = { main: "Main", extra: "Extra", side: "Side", all: "All" };
+
+// ATK/DEF histogram: 500-point buckets, last one open-ended (3000+)
+const STAT_BUCKET = 500;
+const STAT_BUCKETS = 7;
+
+function statCards(deck, scope = "main") {
+  const s = deck?.sections || {};
+  return scope === "all" ? [...(s.main || []), ...(s.extra || []), ...(s.side || [])] : (s[scope] || []);
+}
+
+// Weighted count per key (keysOf may return one key, an array or null) → [{ label, value }], biggest first
+function tally(cards, keysOf) {
+  const counts = new Map();
+  cards.forEach(c => {
+    const n = Number(c.qty) || 1;
+    [].concat(keysOf(c) ?? []).forEach(k => counts.set(k, (counts.get(k) || 0) + n));
+  });
+  return [...counts].map(([label, value]) => ({ label, value })).sort((a, b) => b.value - a.value || a.label.localeCompare(b.label));
+}
+
+// "Quick-Play Spell", "Counter Trap" (null for monsters)
+function spellTrapSubtype(card) {
+  const kind = cardKind(card);
+  if (kind !== "Spell" && kind !== "Trap") return null;
+  const sub = asArray(card.type).find(t => !/^(spell|trap)$/i.test(t)) || card.subtype || "Normal";
+  return `${sub} ${kind}`;
+}
+
+const statBucket = (v) => (typeof v === "number" && v >= 0) ? Math.min(Math.floor(v / STAT_BUCKET), STAT_BUCKETS - 1) : null;
+
+/** All dashboard numbers for a card list (weighted by qty). */
+function deckStats(cards) {
+  const n = (c) => Number(c.qty) || 1;
+  const kinds = tally(cards, cardKind);
+
+  // Star curve: one column per value, Level / Rank / Link series
+  const stars = cards.filter(c => cardKind(c) === "Monster" && starsOf(c) != null);
+  const maxStar = Math.max(0, ...stars.map(starsOf));
+  const curve = Array.from({ length: maxStar }, (_, i) => ({ label: String(i + 1), values: [0, 0, 0] }));
+  stars.forEach(c => {
+    const series = c.level != null ? 0 : c.rank != null ? 1 : 2;
+    if (starsOf(c) >= 1) curve[starsOf(c) - 1].values[series] += n(c);
+  });
+
+  const atkDef = Array.from({ length: STAT_BUCKETS }, (_, i) => ({
+    label: i === STAT_BUCKETS - 1 ? `${i * STAT_BUCKET}+` : String(i * STAT_BUCKET),
+    values: [0, 0],
+  }));
+  cards.forEach(c => {
+    const a = statBucket(c.atk), d = statBucket(c.def);
+    if (a != null) atkDef[a].values[0] += n(c);
+    if (d != null) atkDef[d].values[1] += n(c);
+  });
+
+  return {
+    total: sumQty(cards),
+    kinds: KIND_ORDER.map(k => kinds.find(x => x.label === k)).filter(Boolean),
+    subtypes: tally(cards, spellTrapSubtype),
+    attributes: tally(cards, c => c.attribute ? String(c.attribute).toUpperCase() : null),
+    curve,
+    atkDef,
+    archetypes: tally(cards, c => c.archetype || "None"),
+    tags: tally(cards, c => getFunctionTags(c).map(t => t.replace(/_/g, " "))),
+  };
+}
+
+// --- SVG charts (sized by viewBox, styled from CSS) ---
+
+const clip = (s, n) => s.length > n ? s.slice(0, n - 1) + "…" : s;
+
+// Horizontal bars: [{ label, value }]
+function svgBars(items, title) {
+  if (!items.length) return `<p class="muted">No data.</p>`;
+  const rowH = 20, labelW = 130, barW = 190;
+  const max = Math.max(...items.map(x => x.value));
+  const rows = items.map((x, i) => {
+    const y = i * rowH, w = Math.max(2, x.value / max * barW);
+    return `
+      <g>
+        <title>${escapeHtml(x.label)}: ${x.value}</title>
+        <text x="${labelW - 6}" y="${y + 14}" text-anchor="end">${escapeHtml(clip(x.label, 20))}</text>
+        <rect class="bar" x="${labelW}" y="${y + 4}" width="${w.toFixed(1)}" height="${rowH - 8}" rx="3"></rect>
+        <text class="val" x="${(labelW + w + 4).toFixed(1)}" y="${y + 14}">${x.value}</text>
+      </g>`;
+  }).join("");
+  return `<svg class="stat-chart" viewBox="0 0 ${labelW + barW + 36} ${items.length * rowH}" role="img" aria-label="${escapeHtml(title)}">${rows}</svg>`;
+}
+
+// Grouped columns: groups [{ label, values: [s0, s1, …] }] for the named series
+function svgColumns(groups, series, title) {
+  if (!groups.some(g => g.values.some(Boolean))) return `<p class="muted">No data.</p>`;
+  const h = 110, top = 14, bottom = 18, colW = 12, gap = 10;
+  const groupW = series.length * colW + gap;
+  const max = Math.max(1, ...groups.flatMap(g => g.values));
+  const cols = groups.map((g, gi) => {
+    const x0 = gap + gi * groupW;
+    const bars = g.values.map((v, si) => {
+      if (!v) return "";
+      const bh = v / max * h, x = x0 + si * colW;
+      return `
+        <rect class="series-${si}" x="${x}" y="${(top + h - bh).toFixed(1)}" width="${colW - 2}" height="${bh.toFixed(1)}" rx="2"><title>${escapeHtml(g.label)} ${series[si]}: ${v}</title></rect>
+        <text class="val" x="${x + (colW - 2) / 2}" y="${(top + h - bh - 3).toFixed(1)}" text-anchor="middle">${v}</text>`;
+    }).join("");
+    return `${bars}<text x="${x0 + (groupW - gap) / 2}" y="${top + h + bottom - 4}" text-anchor="middle">${escapeHtml(g.label)}</text>`;
+  }).join("");
+  const legend = series.length > 1
+    ? `<div class="stat-legend">${series.map((s, i) => `<span class="series-${i}">${s}</span>`).join("")}</div>`
+    : "";
+  return `
+    <svg class="stat-chart" viewBox="0 0 ${gap + groups.length * groupW} ${top + h + bottom}" role="img" aria-label="${escapeHtml(title)}">
+      <line class="axis" x1="0" x2="${gap + groups.length * groupW}" y1="${top + h}" y2="${top + h}"></line>
+      ${cols}
+    </svg>
+    ${legend}
+  `;
+}
+
+// Donut (Monster / Spell / Trap): [{ label, value }] with a % legend
+function svgDonut(items, title) {
+  const total = items.reduce((n, x) => n + x.value, 0);
+  if (!total) return `<p class="muted">No data.</p>`;
+  const r = 40, C = 2 * Math.PI * r;
+  let offset = 0;
+  const arcs = items.map(x => {
+    const len = x.value / total * C;
+    const arc = `<circle class="kind-${x.label.toLowerCase()}" r="${r}" cx="60" cy="60" fill="none" stroke-width="18"
+      stroke-dasharray="${len.toFixed(2)} ${(C - len).toFixed(2)}" stroke-dashoffset="${(-offset).toFixed(2)}"><title>${x.label}: ${x.value}</title></circle>`;
+    offset += len;
+    return arc;
+  }).join("");
+  return `
+    <svg class="stat-chart stat-donut" viewBox="0 0 120 120" role="img" aria-label="${escapeHtml(title)}">
+      <g transform="rotate(-90 60 60)">${arcs}</g>
+      <text class="total" x="60" y="65" text-anchor="middle">${total}</text>
+    </svg>
+    <div class="stat-legend">${items.map(x => `<span class="kind-${x.label.toLowerCase()}">${x.label} ${x.value} (${Math.round(x.value / total * 100)}%)</span>`).join("")}</div>
+  `;
+}
+
+function statsBlock() {
+  return `
+    <details class="deck-stats" id="deckStats">
+      <summary><strong>Deck Stats</strong></summary>
+      <div class="controls">
+        <label>Section
+          <select id="statsScope">${Object.entries(STAT_SCOPES).map(([k, l]) => `<option value="${k}">${l}</option>`).join("")}</select>
+        </label>
+      </div>
+      <div class="stats-grid" id="statsBody"></div>
+    </details>
+  `;
+}
+
+function statsBodyHtml(deck, scope) {
+  const st = deckStats(statCards(deck, scope));
+  if (!st.total) return `<p class="muted">No cards in this section.</p>`;
+  const figure = (title, chart) => `<figure class="stat-card"><figcaption>${title}</figcaption>${chart}</figure>`;
+  return [
+    figure("Monster / Spell / Trap", svgDonut(st.kinds, "Monster / Spell / Trap ratio")),
+    figure("Spell / Trap types",     svgBars(st.subtypes, "Spell and Trap subtypes")),
+    figure("Attributes",             svgBars(st.attributes, "Attribute distribution")),
+    figure("Level / Rank curve",     svgColumns(st.curve, ["Level", "Rank", "Link"], "Level, Rank and Link curve")),
+    figure("ATK / DEF",              svgColumns(st.atkDef, ["ATK", "DEF"], "ATK and DEF histogram")),
+    figure("Archetypes",             svgBars(st.archetypes, "Archetype share")),
+    figure("Function tags",          svgBars(st.tags, "Function tag counts")),
+  ].join("");
+}
+
+// Redraw charts (only while the panel is open; follows edits + side plans)
+function refreshStats(root) {
+  const panel = root.querySelector("#deckStats");
+  const deck  = activeDeck();
+  if (!panel?.open || !deck) return;
+  panel.querySelector("#statsBody").innerHTML = statsBodyHtml(sidedDeck(deck), panel.querySelector("#statsScope").value);
+}
+
+function wireStats(root) {
+  const panel = root.querySelector("#deckStats");
+  if (!panel || panel.dataset.wired) return;
+  panel.dataset.wired = "1";
+  panel.addEventListener("toggle", () => refreshStats(root));
+  panel.querySelector("#statsScope")?.addEventListener("change", () => refreshStats(root));
+}
+
+/* ===== END: DECK STATS ===== */
+
+
+/* =========================
+   24) GOLDFISH BOARD (solitaire playtesting from the Hand Tester's draw state)
+   board: { zones: { deck, hand, monster, spelltrap, field, gy, banished, extra }, history, nextUid }
+   Each zone holds card instances { uid, card }; the top of the Deck is the end of its array (like draws).
+   Every action pushes { label, zones } (the zones before it) so undo is a snapshot restore.
+========================= */
+
+const GOLDFISH_ZONES = [
+  { key: "hand",      label: "Hand",               hotkey: "h" },
+  { key: "monster",   label: "Monster Zones",      hotkey: "m" },
+  { key: "spelltrap", label: "Spell & Trap Zones", hotkey: "s" },
+  { key: "field",     label: "Field Zone",         hotkey: "f" },
+  { key: "gy",        label: "Graveyard",          hotkey: "g" },
+  { key: "banished",  label: "Banished",           hotkey: "b" },
+  { key: "extra",     label: "Extra Deck",         hotkey: "e" },
+  { key: "deck",      label: "Deck",               hotkey: "d" },
+];
+const GOLDFISH_LABEL = Object.fromEntries(GOLDFISH_ZONES.map(z => [z.key, z.label]));
+
+// Board from a hand tester state; Extra Deck cards in the pool go to the Extra Deck zone
+function makeBoard(state, deck) {
+  const extraCards = new Set(deck.sections?.extra || []);
+  let uid = 0;
+  const inst = (card) => ({ uid: String(++uid), card });
+  const zones = Object.fromEntries(GOLDFISH_ZONES.map(z => [z.key, []]));
+
+  zones.hand = state.hand.map(inst);
+  state.deck.forEach(card => zones[extraCards.has(card) ? "extra" : "deck"].push(inst(card)));
+  if (!zones.extra.length) zones.extra = expandSection(deck.sections?.extra).map(inst);
+
+  return { zones, history: [], nextUid: uid + 1 };
+}
+
+function boardFind(board, uid) {
+  for (const [zone, list] of Object.entries(board.zones)) {
+    const i = list.findIndex(x => x.uid === uid);
+    if (i >= 0) return { zone, index: i, inst: list[i] };
+  }
+  return null;
+}
+
+// Apply `fn(zones)` to copied zones and record the action for undo
+function boardAction(board, label, fn) {
+  const zones = Object.fromEntries(Object.entries(board.zones).map(([k, v]) => [k, v.slice()]));
+  fn(zones);
+  return { ...board, zones, history: [...board.history, { label, zones: board.zones }] };
+}
+
+function boardMove(board, uid, to) {
+  const found = boardFind(board, uid);
+  if (!found || found.zone === to) return board;
+  return boardAction(board, `${found.inst.card.name}: ${GOLDFISH_LABEL[found.zone]} → ${GOLDFISH_LABEL[to]}`, (zones) => {
+    zones[found.zone].splice(found.index, 1);
+    zones[to].push(found.inst);
+  });
+}
+
+function boardDraw(board, to = "hand") {
+  const top = board.zones.deck[board.zones.deck.length - 1];
+  if (!top) return board;
+  const label = to === "gy" ? `Mill ${top.card.name}` : `Draw ${top.card.name}`;
+  return boardAction(board, label, (zones) => { zones[to].push(zones.deck.pop()); });
+}
+
+function boardShuffle(board, label = "Shuffle Deck") {
+  return boardAction(board, label, (zones) => {
+    zones.deck = shuffle(zones.deck);
+  });
+}
+
+// Search the Deck for a card (by cardKey), add it to the hand, then shuffle (like the card text does)
+function boardSearch(board, key) {
+  const i = board.zones.deck.findIndex(x => cardKey(x.card) === key);
+  if (i < 0) return board;
+  const inst = board.zones.deck[i];
+  return boardAction(board, `Search ${inst.card.name} → Hand (Deck shuffled)`, (zones) => {
+    zones.deck.splice(i, 1);
+    zones.hand.push(inst);
+    zones.deck = shuffle(zones.deck);
+  });
+}
+
+function boardSummonExtra(board, key) {
+  const inst = board.zones.extra.find(x => cardKey(x.card) === key);
+  if (!inst) return board;
+  return boardAction(board, `Summon ${inst.card.name} from the Extra Deck`, (zones) => {
+    zones.extra = zones.extra.filter(x => x !== inst);
+    zones.monster.push(inst);
+  });
+}
+
+function boardUndo(board) {
+  const last = board.history[board.history.length - 1];
+  if (!last) return board;
+  return { ...board, zones: last.zones, history: board.history.slice(0, -1) };
+}
+
+// Unique cards in a zone as <option>s (value = cardKey), sorted by name
+function zoneCardOptions(list) {
+  const seen = new Map();
+  list.forEach(x => {
+    const k = cardKey(x.card);
+    const cur = seen.get(k);
+    seen.set(k, { name: x.card.name, n: (cur?.n || 0) + 1 });
+  });
+  return [...seen.entries()]
+    .sort((a, b) => a[1].name.localeCompare(b[1].name))
+    .map(([k, v]) => `<option value="${escapeHtml(k)}">${escapeHtml(v.name)}${v.n > 1 ? ` ×${v.n}` : ""}</option>`)
+    .join("");
+}
+
+function boardCardTile(inst, selected) {
+  const full  = inst.card.img || CARD_BACK;
+  const thumb = thumbSrc(full);
+  const name = escapeHtml(inst.card.name);
+  return `
+    <li>
+      <button type="button" class="gf-card" draggable="true" data-uid="${inst.uid}" aria-pressed="${selected}" title="${name}">
+        <img src="${escapeHtml(thumb)}" alt="" loading="lazy">
+        <span>${name}</span>
+      </button>
+    </li>
+  `;
+}
+
+function goldfishZonesHtml(board, selected) {
+  return GOLDFISH_ZONES.map(z => {
+    const list = board.zones[z.key];
+    const body = z.key === "deck"
+      ? `<li class="gf-deck-back"><img src="${CARD_BACK}" alt="">${list.length ? "" : `<span class="muted">Empty</span>`}</li>`
+      : (list.map(x => boardCardTile(x, x.uid === selected)).join("") || `<li class="muted gf-empty">Empty</li>`);
+    return `
+      <section class="gf-zone gf-zone-${z.key}" data-zone="${z.key}" aria-label="${z.label}">
+        <h4>${z.label} <span class="count">(${list.length})</span> <kbd>${z.hotkey.toUpperCase()}</kbd></h4>
+        <ul class="gf-cards">${body}</ul>
+      </section>
+    `;
+  }).join("");
+}
+
+function goldfishBlock(board, selected) {
+  const history = board.history.map(h => `<li>${escapeHtml(h.label)}</li>`).join("");
+  return `
+    <div class="goldfish">
+      <div class="gf-actions">
+        <button type="button" class="btn btn-sm" data-gf="draw">Draw 1</button>
+        <button type="button" class="btn btn-sm" data-gf="mill">Mill 1</button>
+        <button type="button" class="btn btn-sm" data-gf="shuffle">Shuffle Deck</button>
+        <label>Search <select id="gfSearch"><option value="">Deck card…</option>${zoneCardOptions(board.zones.deck)}</select></label>
+        <button type="button" class="btn btn-sm" data-gf="search">Add to Hand</button>
+        <label>Extra <select id="gfSummon"><option value="">Extra Deck card…</option>${zoneCardOptions(board.zones.extra)}</select></label>
+        <button type="button" class="btn btn-sm" data-gf="summon">Summon</button>
+        <button type="button" class="btn btn-sm" data-gf="undo" ${board.history.length ? "" : "disabled"}>Undo</button>
+      </div>
+      <p class="muted gf-help">Drag cards between zones, or select a card (click / Enter) and click a zone.
+        Keyboard: focus a card and press a zone letter (H, M, S, F, G, B, E, D). Ctrl+Z undoes.</p>
+      <div class="gf-board">${goldfishZonesHtml(board, selected)}</div>
+      <details class="gf-history">
+        <summary>Action history (${board.history.length})</summary>
+        ${history ? `<ol>${history}</ol>` : `<p class="muted">No actions yet.</p>`}
+      </details>
+    </div>
+  `;
+}
+
+// Open the board in a modal; the Hand Tester's state is copied, not changed
+function openGoldfish(state, deck) {
+  let board = makeBoard(state, deck);
+  let selected = null; // uid picked for click-to-move
+  const panel = openModal(`Goldfish — ${deck.name || "Deck"}`, `<div id="goldfishRoot"></div>`);
+  panel.classList.add("modal-wide");
+  const host = panel.querySelector("#goldfishRoot");
+
+  const draw = (focusUid = null) => {
+    host.innerHTML = goldfishBlock(board, selected);
+    if (focusUid) host.querySelector(`.gf-card[data-uid="${focusUid}"]`)?.focus();
+  };
+  const update = (next, focusUid = null) => {
+    board = next;
+    if (selected && !boardFind(board, selected)) selected = null;
+    draw(focusUid);
+  };
+  draw();
+
+  host.addEventListener("click", (e) => {
+    const card = e.target.closest(".gf-card");
+    if (card) {
+      selected = selected === card.dataset.uid ? null : card.dataset.uid;
+      draw(card.dataset.uid);
+      return;
+    }
+    const action = e.target.closest("[data-gf]")?.dataset.gf;
+    if (action) {
+      if (action === "draw")    update(boardDraw(board));
+      if (action === "mill")    update(boardDraw(board, "gy"));
+      if (action === "shuffle") update(boardShuffle(board));
+      if (action === "search")  update(boardSearch(board, host.querySelector("#gfSearch").value));
+      if (action === "summon")  update(boardSummonExtra(board, host.querySelector("#gfSummon").value));
+      if (action === "undo")    update(boardUndo(board));
+      return;
+    }
+    const zone = e.target.closest("[data-zone]");
+    if (zone && selected) {
+      const uid = selected;
+      selected = null;
+      update(boardMove(board, uid, zone.dataset.zone), uid);
+    }
+  });
+
+  host.addEventListener("keydown", (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "z") {
+      e.preventDefault();
+      update(boardUndo(board));
+      return;
+    }
+    const card = e.target.closest(".gf-card");
+    const to = card && !e.ctrlKey && !e.metaKey && !e.altKey
+      && GOLDFISH_ZONES.find(z => z.hotkey === e.key.toLowerCase());
+    if (!to) return;
+    e.preventDefault();
+    update(boardMove(board, card.dataset.uid, to.key), card.dataset.uid);
+  });
+
+  // Drag and drop between zones
+  host.addEventListener("dragstart", (e) => {
+    const card = e.target.closest(".gf-card");
+    if (!card) return;
+    e.dataTransfer.setData("text/plain", card.dataset.uid);
+    e.dataTransfer.effectAllowed = "move";
+  });
+  host.addEventListener("dragover", (e) => {
+    if (e.target.closest("[data-zone]")) e.preventDefault();
+  });
+  host.addEventListener("drop", (e) => {
+    const zone = e.target.closest("[data-zone]");
+    const uid  = e.dataTransfer.getData("text/plain");
+    if (!zone || !uid) return;
+    e.preventDefault();
+    update(boardMove(board, uid, zone.dataset.zone));
+  });
+}
+
+/* ===== END: GOLDFISH BOARD ===== */
+
+
+/* =========================
+   25) SAVED HANDS (per-deck history in SAVED_KEY; gallery, reload, JSON export/import)
+   store: { [deck path]: [{ id, at, label, notes, line, hand: [ids], names: [names],
+            seed, going, turn, pool: { side, extra }, version, deckName }] }
+   `version` is a hash of the decklist, so brick rates can be compared between builds.
+========================= */
+
+const HAND_LABELS = { brick: "Brick", playable: "Playable", great: "Great" };
+
+function loadSavedHands() {
+  try {
+    const all = JSON.parse(localStorage.getItem(SAVED_KEY) || "{}");
+    return all && typeof all === "object" && !Array.isArray(all) ? all : {};
+  } catch (e) {
+    console.warn("Ignoring unreadable saved hands", e);
+    return {};
+  }
+}
+
+function saveSavedHands(all) {
+  localStorage.setItem(SAVED_KEY, JSON.stringify(all));
+}
+
+const savedHandsFor = (path) => loadSavedHands()[path] || [];
+
+function setSavedHandsFor(path, entries) {
+  const all = loadSavedHands();
+  if (entries.length) all[path] = entries;
+  else delete all[path];
+  saveSavedHands(all);
+}
+
+// Short fingerprint of a decklist (card keys × qty per section)
+function deckVersion(deck) {
+  const text = ["main", "extra", "side"].map(sec =>
+    (deck.sections?.[sec] || []).map(c => `${cardKey(c)}×${Number(c.qty) || 1}`).sort().join(",")
+  ).join("|");
+  return (hashText(text) >>> 0).toString(36);
+}
+
+function handRecord(deck, hand, { label = "playable", notes = "", line = "", draw = {}, pool = {} } = {}) {
+  return {
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    at: Date.now(),
+    label: HAND_LABELS[label] ? label : "playable",
+    notes, line,
+    hand: hand.map(cardIdOf),
+    names: hand.map(c => c.name),
+    seed: draw.seed || "",
+    going: draw.going === "second" ? "second" : "first",
+    turn: draw.turn || 1,
+    pool: { side: !!pool.side, extra: !!pool.extra },
+    version: deckVersion(deck),
+    deckName: deck.name || "",
+  };
+}
+
+// { total, counts: { brick, playable, great }, brickRate } for some entries
+function handHistoryStats(entries) {
+  const counts = Object.fromEntries(Object.keys(HAND_LABELS).map(k => [k, 0]));
+  entries.forEach(e => { if (counts[e.label] != null) counts[e.label]++; });
+  return { total: entries.length, counts, brickRate: entries.length ? counts.brick / entries.length : 0 };
+}
+
+/**
+ * Parse an exported history (`{ deck, hands }` or a bare array).
+ * Keeps only the fields handRecord writes, coerced to their types (imports are untrusted).
+ * Throws Error with a readable message; drops entries without a hand.
+ */
+function parseHandHistory(text) {
+  let data;
+  try { data = JSON.parse(text); }
+  catch (e) { throw new Error(`Not valid JSON (${e.message})`); }
+  const list = Array.isArray(data) ? data : data?.hands;
+  if (!Array.isArray(list)) throw new Error("Expected a saved-hands export ({ deck, hands: [...] }).");
+  return list
+    .filter(e => e && Array.isArray(e.hand) && e.hand.length)
+    .map(e => {
+      const hand = e.hand.map(id => (typeof id === "number" ? id : String(id)));
+      return {
+        id: String(e.id || Date.now().toString(36) + Math.random().toString(36).slice(2, 6)),
+        at: Number(e.at) || Date.now(),
+        label: HAND_LABELS[e.label] ? e.label : "playable",
+        notes: String(e.notes || ""),
+        line: String(e.line || ""),
+        hand,
+        names: Array.isArray(e.names) ? e.names.map(String) : hand.map(String),
+        seed: String(e.seed || ""),
+        going: e.going === "second" ? "second" : "first",
+        turn: Math.max(1, Number(e.turn) | 0),
+        pool: { side: !!e.pool?.side, extra: !!e.pool?.extra },
+        version: String(e.version || ""),
+        deckName: String(e.deckName || ""),
+      };
+    });
+}
+
+// Merge by id (imported copies replace existing ones), newest first
+function mergeHandHistory(current, incoming) {
+  const byId = new Map(current.map(e => [e.id, e]));
+  incoming.forEach(e => byId.set(e.id, e));
+  return [...byId.values()].sort((a, b) => b.at - a.at);
+}
+
+function saveHandForm() {
+  return `
+    <form class="saved-hand-form" id="savedHandForm">
+      <fieldset class="saved-hand-labels">
+        <legend>How was it?</legend>
+        ${Object.entries(HAND_LABELS).map(([k, v]) => `
+          <label><input type="radio" name="handLabel" value="${k}"${k === "playable" ? " checked" : ""}> ${v}</label>
+        `).join("")}
+      </fieldset>
+      <label>Combo line played
+        <textarea id="savedHandLine" rows="3" placeholder="Familiar → mill Retainer → …"></textarea>
+      </label>
+      <label>Notes
+        <textarea id="savedHandNotes" rows="2"></textarea>
+      </label>
+      <div class="modal-actions">
+        <button type="submit" class="btn btn-sm primary">Save hand</button>
+      </div>
+    </form>
+  `;
+}
+
+// Ask for label / line / notes and store the hand under the current deck
+function openSaveHand(deck, hand, { draw, pool } = {}) {
+  const modal = openModal(`Save hand (${hand.length} cards)`, `
+    <p class="muted">${hand.map(c => escapeHtml(c.name)).join(" • ")}</p>
+    ${saveHandForm()}
+  `);
+  modal.querySelector("#savedHandForm").addEventListener("submit", (e) => {
+    e.preventDefault();
+    // Version of the list as it is now (in-session edits included)
+    const entry = handRecord(activeDeck() || deck, hand, {
+      label: modal.querySelector('input[name="handLabel"]:checked')?.value,
+      line:  modal.querySelector("#savedHandLine").value.trim(),
+      notes: modal.querySelector("#savedHandNotes").value.trim(),
+      draw, pool,
+    });
+    setSavedHandsFor(CURRENT_DECK_SRC, [entry, ...savedHandsFor(CURRENT_DECK_SRC)]);
+    modal.close();
+  });
+}
+
+function savedHandStatsBlock(entries, version) {
+  if (!entries.length) return `<p class="muted">No saved hands for this deck yet.</p>`;
+  const row = (title, list) => {
+    const s = handHistoryStats(list);
+    return `
+      <tr><th scope="row">${title}</th><td>${s.total}</td>
+        ${Object.keys(HAND_LABELS).map(k => `<td>${s.counts[k]}</td>`).join("")}
+        <td><strong>${pct(s.brickRate)}</strong></td></tr>
+    `;
+  };
+  return `
+    <table class="saved-hand-stats">
+      <thead><tr><th></th><th>Hands</th>${Object.values(HAND_LABELS).map(v => `<th>${v}</th>`).join("")}<th>Brick rate</th></tr></thead>
+      <tbody>
+        ${row("This version", entries.filter(e => e.version === version))}
+        ${row("All versions", entries)}
+      </tbody>
+    </table>
+  `;
+}
+
+const allDeckCards = (deck) => ["main", "extra", "side"].flatMap(sec => deck.sections?.[sec] || []);
+
+function savedHandItem(entry, deck, version) {
+  const cards = allDeckCards(deck);
+  const thumbs = entry.hand.map((id, i) => {
+    const card = cards.find(c => String(cardIdOf(c)) === String(id));
+    const name = escapeHtml(card?.name || entry.names[i] || id);
+    return `<img src="${escapeHtml(card?.img || CARD_BACK)}" alt="${name}" title="${name}" loading="lazy">`;
+  }).join("");
+  return `
+    <li class="saved-hand saved-hand-${entry.label}" data-id="${escapeHtml(entry.id)}">
+      <div class="saved-hand-head">
+        <span class="saved-hand-label">${HAND_LABELS[entry.label]}</span>
+        <span class="muted">${new Date(entry.at).toLocaleString()} • going ${escapeHtml(entry.going)}${entry.seed ? ` • seed ${escapeHtml(entry.seed)}` : ""}${entry.version !== version ? " • older version" : ""}</span>
+        <span class="saved-hand-actions">
+          <button type="button" class="btn btn-sm" data-saved="load">Load</button>
+          <button type="button" class="btn btn-sm" data-saved="delete">Delete</button>
+        </span>
+      </div>
+      <div class="saved-hand-cards">${thumbs}</div>
+      ${entry.line  ? `<p><strong>Line:</strong> ${escapeHtml(entry.line)}</p>` : ""}
+      ${entry.notes ? `<p class="muted">${escapeHtml(entry.notes)}</p>` : ""}
+    </li>
+  `;
+}
+
+// Gallery of saved hands for the current deck; `load(entry)` re-deals one into the tester
+function openSavedHands(deck, load) {
+  const path = CURRENT_DECK_SRC;
+  const version = deckVersion(activeDeck() || deck); // current build, edits included
+  const modal = openModal(`Saved hands — ${deck.name || "Deck"}`, `
+    <div id="savedHandStats"></div>
+    <div class="modal-actions">
+      <label>Show
+        <select id="savedHandFilter">
+          <option value="">All labels</option>
+          ${Object.entries(HAND_LABELS).map(([k, v]) => `<option value="${k}">${v}</option>`).join("")}
+        </select>
+      </label>
+      <label><input type="checkbox" id="savedHandCurrent"> This version only</label>
+      <button type="button" class="btn btn-sm" id="savedHandExport">Export .JSON</button>
+      <input id="savedHandFile" type="file" accept=".json,application/json" hidden>
+      <button type="button" class="btn btn-sm" id="savedHandImport">Import .JSON</button>
+    </div>
+    <ul class="saved-hands" id="savedHandList"></ul>
+  `);
+  const q = (sel) => modal.querySelector(sel);
+
+  const renderList = () => {
+    const entries = savedHandsFor(path);
+    const label = q("#savedHandFilter").value;
+    const shown = entries
+      .filter(e => !label || e.label === label)
+      .filter(e => !q("#savedHandCurrent").checked || e.version === version);
+    q("#savedHandStats").innerHTML = savedHandStatsBlock(entries, version);
+    q("#savedHandList").innerHTML = shown.length
+      ? shown.map(e => savedHandItem(e, deck, version)).join("")
+      : (entries.length ? `<li class="muted">No hands match.</li>` : "");
+  };
+  renderList();
+
+  q("#savedHandFilter").addEventListener("change", renderList);
+  q("#savedHandCurrent").addEventListener("change", renderList);
+
+  q("#savedHandList").addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-saved]");
+    const id = btn?.closest("[data-id]")?.dataset.id;
+    const entries = savedHandsFor(path);
+    const entry = entries.find(x => x.id === id);
+    if (!entry) return;
+    if (btn.dataset.saved === "load") {
+      modal.close();
+      load(entry);
+    } else if (confirm("Delete this saved hand?")) {
+      setSavedHandsFor(path, entries.filter(x => x.id !== id));
+      renderList();
+    }
+  });
+
+  q("#savedHandExport").addEventListener("click", () => {
+    const hands = savedHandsFor(path);
+    if (!hands.length) return;
+    const base = (deck.name || "deck").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "deck";
+    downloadFile(`saved-hands-${base}.json`, JSON.stringify({ deck: path, deckName: deck.name || "", hands }, null, 2) + "\n");
+  });
+
+  q("#savedHandImport").addEventListener("click", () => q("#savedHandFile").click());
+  q("#savedHandFile").addEventListener("change", async () => {
+    const file = q("#savedHandFile").files?.[0];
+    if (!file) return;
+    try {
+      const incoming = parseHandHistory(await file.text());
+      setSavedHandsFor(path, mergeHandHistory(savedHandsFor(path), incoming));
+      renderList();
+      alert(`Imported ${incoming.length} saved hand(s).`);
+    } catch (err) {
+      alert(`Import failed: ${err.message}`);
+    } finally {
+      q("#savedHandFile").value = ""; // reset so selecting the same file again works
+    }
+  });
+}
+
+/* ===== END: SAVED HANDS ===== */
+
+
+/* =========================
+   26) PROXY SHEET (print-ready 59×86 mm card images, 3×3 per page)
+   Opens a print window laid out in millimetres; the browser's print dialog does the rest.
+========================= */
+
+const PROXY_CARD  = { w: 59, h: 86 }; // mm
+const PROXY_PAPER = { a4: { label: "A4", w: 210, h: 297 }, letter: { label: "Letter", w: 215.9, h: 279.4 } };
+const PROXY_COLS = 3, PROXY_ROWS = 3;
+const PROXY_SECTIONS = { all: "Whole deck", main: "Main Deck", extra: "Extra Deck", side: "Side Deck" };
+
+// Cards to print for a section ("all" = main + extra + side); expand = one image per copy
+function proxyCards(deck, section = "all", expand = true) {
+  const keys = section === "all" ? ["main", "extra", "side"] : [section];
+  return keys.flatMap(k => (deck.sections?.[k] || []).flatMap(card => (expand ? expandSection([card]) : [card])));
+}
+
+// Card positions (mm, top-left of the bleed box) and trim lines for one page
+function proxyLayout(paper, bleed = 0) {
+  const cw = PROXY_CARD.w + 2 * bleed, ch = PROXY_CARD.h + 2 * bleed;
+  const left = (paper.w - PROXY_COLS * cw) / 2;
+  const top  = (paper.h - PROXY_ROWS * ch) / 2;
+  const cells = [];
+  for (let r = 0; r < PROXY_ROWS; r++) {
+    for (let c = 0; c < PROXY_COLS; c++) cells.push({ x: left + c * cw, y: top + r * ch });
+  }
+  const xs = [], ys = [];
+  for (let c = 0; c < PROXY_COLS; c++) xs.push(left + c * cw + bleed, left + c * cw + bleed + PROXY_CARD.w);
+  for (let r = 0; r < PROXY_ROWS; r++) ys.push(top + r * ch + bleed, top + r * ch + bleed + PROXY_CARD.h);
+  return {
+    cells, cw, ch, bleed, left, top, right: left + PROXY_COLS * cw, bottom: top + PROXY_ROWS * ch,
+    xs: [...new Set(xs)], ys: [...new Set(ys)],
+  };
+}
+
+// Gap + length for marks in `room` mm of margin (shrunk to stay on the page; null = no room)
+function fitCutMark(room, gap = 2, len = 6) {
+  const g = Math.min(gap, room / 3);
+  const l = Math.min(len, room - g);
+  return l >= 0.5 ? { g, l } : null;
+}
+
+// Short marks outside the grid at every trim line (kept inside the page margins)
+function proxyCutMarks(layout, gap = 2, len = 6) {
+  const mm = (n) => `${n.toFixed(2)}mm`;
+  const vFit = fitCutMark(layout.top, gap, len);
+  const hFit = fitCutMark(layout.left, gap, len);
+  const v = (x, y) => `<i class="cut v" style="left:${mm(x)};top:${mm(y)};height:${mm(vFit.l)}"></i>`;
+  const h = (x, y) => `<i class="cut h" style="left:${mm(x)};top:${mm(y)};width:${mm(hFit.l)}"></i>`;
+  return [
+    ...(vFit ? layout.xs.flatMap(x => [v(x, layout.top - vFit.g - vFit.l), v(x, layout.bottom + vFit.g)]) : []),
+    ...(hFit ? layout.ys.flatMap(y => [h(layout.left - hFit.g - hFit.l, y), h(layout.right + hFit.g, y)]) : []),
+  ].join("");
+}
+
+function proxySheetHtml(deck, cards, { paper = "a4", bleed = 0, cutMarks = true, grayscale = false } = {}) {
+  const size = PROXY_PAPER[paper] || PROXY_PAPER.a4;
+  const layout = proxyLayout(size, bleed);
+  const mm = (n) => `${n.toFixed(2)}mm`;
+  const abs = (src) => new URL(src || CARD_BACK, location.href).href;
+  const perPage = PROXY_COLS * PROXY_ROWS;
+  const pages = [];
+  for (let i = 0; i < cards.length; i += perPage) pages.push(cards.slice(i, i + perPage));
+
+  return `<!doctype html><html><head><meta charset="utf-8"><title>${escapeHtml(deck.name || "Deck")} — Proxies</title>
+    <style>
+      @page { size: ${paper === "letter" ? "letter" : "A4"}; margin: 0; }
+      * { box-sizing: border-box; }
+      body { margin: 0; background: #fff; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+      .sheet { position: relative; width: ${mm(size.w)}; height: ${mm(size.h)}; overflow: hidden; break-after: page; }
+      .sheet:last-child { break-after: auto; }
+      .card { position: absolute; width: ${mm(layout.cw)}; height: ${mm(layout.ch)}; overflow: hidden; background: #111; }
+      /* Art at true size inside the bleed box; a stretched copy underneath fills the bleed with edge colours */
+      .card img { position: absolute; display: block; }
+      .card .art   { left: ${mm(layout.bleed)}; top: ${mm(layout.bleed)}; width: ${mm(PROXY_CARD.w)}; height: ${mm(PROXY_CARD.h)}; }
+      .card .under { inset: 0; width: 100%; height: 100%; }
+      ${grayscale ? ".card img { filter: grayscale(1); }" : ""}
+      .cut { position: absolute; background: #000; }
+      .cut.v { width: .2mm; margin-left: -.1mm; }
+      .cut.h { height: .2mm; margin-top: -.1mm; }
+      @media screen { body { background: #777; } .sheet { margin: 10px auto; background: #fff; } }
+    </style></head><body>
+    ${pages.map(page => `
+      <div class="sheet">
+        ${page.map((card, i) => `
+          <div class="card" style="left:${mm(layout.cells[i].x)};top:${mm(layout.cells[i].y)}">
+            ${layout.bleed ? `<img class="under" src="${escapeHtml(abs(card.img))}" alt="">` : ""}
+            <img class="art" src="${escapeHtml(abs(card.img))}" alt="${escapeHtml(card.name)}">
+          </div>`).join("")}
+        ${cutMarks ? proxyCutMarks(layout) : ""}
+      </div>`).join("")}
+  </body></html>`;
+}
+
+// Open the sheet in a new window and print once the images are in
+function printProxySheet(deck, cards, opts) {
+  const win = window.open("", "_blank");
+  if (!win) { alert("Allow pop-ups to print proxies."); return; }
+  win.document.write(proxySheetHtml(deck, cards, opts));
+  win.document.close();
+  const back = new URL(CARD_BACK, location.href).href;
+  const loads = [...win.document.images].map(img => (img.complete ? null : new Promise(done => {
+    img.onload = done;
+    img.onerror = () => { img.onerror = null; img.src = back; done(); };
+  })));
+  Promise.all(loads).then(() => { win.focus(); win.print(); });
+}
+
+function proxyOptionsForm(deck) {
+  const opt = (obj) => Object.entries(obj).map(([k, v]) => `<option value="${k}">${typeof v === "string" ? v : v.label}</option>`).join("");
+  return `
+    <form class="proxy-form" id="proxyForm">
+      <label>Cards <select id="proxySection">${opt(PROXY_SECTIONS)}</select></label>
+      <label>Paper <select id="proxyPaper">${opt(PROXY_PAPER)}</select></label>
+      <label>Bleed
+        <select id="proxyBleed">${[0, 1, 2, 3].map(n => `<option value="${n}">${n ? `${n} mm` : "None"}</option>`).join("")}</select>
+      </label>
+      <label><input type="checkbox" id="proxyExpand" checked> One per copy</label>
+      <label><input type="checkbox" id="proxyCuts" checked> Cut marks</label>
+      <label><input type="checkbox" id="proxyGray"> Grayscale (save ink)</label>
+      <p class="muted" id="proxySummary"></p>
+      <p class="muted">Print at 100% scale (turn off “fit to page”) so cards come out at ${PROXY_CARD.w}×${PROXY_CARD.h} mm.</p>
+      <div class="modal-actions">
+        <button type="submit" class="btn btn-sm primary">Print proxies</button>
+      </div>
+    </form>
+  `;
+}
+
+function openProxySheet(deck) {
+  const modal = openModal(`Proxy sheet — ${deck.name || "Deck"}`, proxyOptionsForm(deck));
+  const q = (sel) => modal.querySelector(sel);
+  const read = () => ({
+    section:   q("#proxySection").value,
+    expand:    q("#proxyExpand").checked,
+    paper:     q("#proxyPaper").value,
+    bleed:     Number(q("#proxyBleed").value) || 0,
+    cutMarks:  q("#proxyCuts").checked,
+    grayscale: q("#proxyGray").checked,
+  });
+  const summary = () => {
+    const o = read();
+    const n = proxyCards(deck, o.section, o.expand).length;
+    q("#proxySummary").textContent = `${n} card(s) → ${Math.ceil(n / (PROXY_COLS * PROXY_ROWS))} page(s)`;
+  };
+  summary();
+  q("#proxyForm").addEventListener("change", summary);
+  q("#proxyForm").addEventListener("submit", (e) => {
+    e.preventDefault();
+    const o = read();
+    const cards = proxyCards(deck, o.section, o.expand);
+    if (!cards.length) return;
+    printProxySheet(deck, cards, o);
+    modal.close();
+  });
+}
+
+/* ===== END: PROXY SHEET ===== */
+
+
+/* =========================
+   27) DECK IMAGE (decklist → PNG through a canvas; compact + full layouts)
+   Images load with crossOrigin="anonymous" so the canvas stays exportable;
+   anything that fails (no CORS, 404) is drawn as assets/back.jpg instead.
+========================= */
+
+// tile: card art size (px); cols per row; name: caption under each tile (full layout)
+const DECK_IMAGE_LAYOUTS = {
+  compact: { label: "Compact", cols: 12, tile: { w: 64,  h: 93  }, gap: 6,  name: false, thumbs: true  },
+  full:    { label: "Full",    cols: 8,  tile: { w: 120, h: 175 }, gap: 10, name: true,  thumbs: false },
+};
+const DECK_IMAGE_PAD = 24;
+const DECK_IMAGE_SECTIONS = [["main", "Main Deck"], ["extra", "Extra Deck"], ["side", "Side Deck"]];
+
+// Load an image for canvas use; falls back to the card back, then to null (placeholder)
+function loadCanvasImage(src, fallback = new URL(CARD_BACK, location.href).href) {
+  const attempt = (url) => new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = "anonymous";
+    img.onload = () => resolve(img);
+    img.onerror = reject;
+    img.src = url;
+  });
+  return attempt(src || fallback)
+    .catch(() => (src && src !== fallback ? attempt(fallback) : Promise.reject()))
+    .catch(() => null);
+}
+
+// Canvas size + section rows for a deck (pure: no drawing)
+function deckImageLayout(deck, layoutKey = "compact") {
+  const L = DECK_IMAGE_LAYOUTS[layoutKey] || DECK_IMAGE_LAYOUTS.compact;
+  const cellH = L.tile.h + (L.name ? 18 : 0);
+  const width = DECK_IMAGE_PAD * 2 + L.cols * L.tile.w + (L.cols - 1) * L.gap;
+  let y = DECK_IMAGE_PAD + 78; // header block
+  const sections = [];
+  DECK_IMAGE_SECTIONS.forEach(([key, label]) => {
+    const cards = deck.sections?.[key] || [];
+    if (!cards.length) return;
+    const rows = Math.ceil(cards.length / L.cols);
+    sections.push({ key, label, cards, y, gridY: y + 30 });
+    y += 30 + rows * cellH + (rows - 1) * L.gap + 20;
+  });
+  return { L, cellH, width, height: y + DECK_IMAGE_PAD - 20, sections };
+}
+
+// Shorten text with … to fit maxWidth
+function fitText(ctx, text, maxWidth) {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+  let t = text;
+  while (t.length > 1 && ctx.measureText(t + "…").width > maxWidth) t = t.slice(0, -1);
+  return t + "…";
+}
+
+// Render the deck to a canvas (resolves once every image has loaded or fallen back)
+async function renderDeckCanvas(deck, layoutKey = "compact") {
+  const { L, cellH, width, height, sections } = deckImageLayout(deck, layoutKey);
+  const css = getComputedStyle(document.documentElement);
+  const color = (name, fallback) => css.getPropertyValue(name).trim() || fallback;
+  const theme = {
+    bg: color("--surface", "#14161a"), panel: color("--panel", "#1d2026"),
+    text: color("--text", "#f2f2f2"), muted: color("--muted", "#9aa3ad"), accent: color("--accent", "#00e1ff"),
+  };
+
+  // One load per distinct image URL
+  const cache = new Map();
+  const imageFor = (card) => {
+    const src = L.thumbs ? thumbSrc(card.img) : card.img;
+    if (!cache.has(src)) cache.set(src, loadCanvasImage(src));
+    return cache.get(src);
+  };
+  const images = await Promise.all(sections.map(s => Promise.all(s.cards.map(imageFor))));
+
+  const canvas = document.createElement("canvas");
+  const scale = window.devicePixelRatio > 1 ? 2 : 1;
+  canvas.width = width * scale;
+  canvas.height = height * scale;
+  const ctx = canvas.getContext("2d");
+  ctx.scale(scale, scale);
+  ctx.fillStyle = theme.bg;
+  ctx.fillRect(0, 0, width, height);
+
+  // Header: name, author • style, counts
+  const font = "system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
+  const counts = DECK_IMAGE_SECTIONS
+    .map(([key, label]) => [label, sumQty(deck.sections?.[key])])
+    .filter(([, n]) => n)
+    .map(([label, n]) => `${label} ${n}`)
+    .join("  •  ");
+  ctx.textBaseline = "top";
+  ctx.fillStyle = theme.text;
+  ctx.font = `700 26px ${font}`;
+  ctx.fillText(fitText(ctx, deck.name || "Deck", width - DECK_IMAGE_PAD * 2), DECK_IMAGE_PAD, DECK_IMAGE_PAD);
+  ctx.fillStyle = theme.muted;
+  ctx.font = `14px ${font}`;
+  ctx.fillText(fitText(ctx, `${deck.author || "Unknown"}  •  ${deck.deckstyle || "Unknown Style"}`, width - DECK_IMAGE_PAD * 2), DECK_IMAGE_PAD, DECK_IMAGE_PAD + 34);
+  ctx.fillText(counts, DECK_IMAGE_PAD, DECK_IMAGE_PAD + 54);
+
+  sections.forEach((sec, si) => {
+    ctx.fillStyle = theme.accent;
+    ctx.font = `700 16px ${font}`;
+    ctx.fillText(`${sec.label} (${sumQty(sec.cards)})`, DECK_IMAGE_PAD, sec.y + 4);
+
+    sec.cards.forEach((card, i) => {
+      const x = DECK_IMAGE_PAD + (i % L.cols) * (L.tile.w + L.gap);
+      const y = sec.gridY + Math.floor(i / L.cols) * (cellH + L.gap);
+      const img = images[si][i];
+      if (img) ctx.drawImage(img, x, y, L.tile.w, L.tile.h);
+      else { ctx.fillStyle = theme.panel; ctx.fillRect(x, y, L.tile.w, L.tile.h); }
+
+      // Qty badge (bottom-right)
+      const qty = Number(card.qty) || 1;
+      const badge = `×${qty}`;
+      ctx.font = `700 ${L.name ? 14 : 11}px ${font}`;
+      const bw = ctx.measureText(badge).width + 8, bh = L.name ? 20 : 16;
+      ctx.fillStyle = "rgba(0, 0, 0, .75)";
+      ctx.fillRect(x + L.tile.w - bw - 3, y + L.tile.h - bh - 3, bw, bh);
+      ctx.fillStyle = "#fff";
+      ctx.fillText(badge, x + L.tile.w - bw + 1, y + L.tile.h - bh - 3 + (bh - (L.name ? 14 : 11)) / 2);
+
+      if (L.name) {
+        ctx.fillStyle = theme.text;
+        ctx.font = `12px ${font}`;
+        ctx.fillText(fitText(ctx, card.name || "", L.tile.w), x, y + L.tile.h + 4);
+      }
+    });
+  });
+
+  return canvas;
+}
+
+// Layout picker + preview + download
+function openDeckImage(deck) {
+  const modal = openModal(`Export image — ${deck.name || "Deck"}`, `
+    <div class="modal-actions">
+      ${Object.entries(DECK_IMAGE_LAYOUTS).map(([k, v], i) => `
+        <label><input type="radio" name="deckImageLayout" value="${k}"${i ? "" : " checked"}> ${v.label}</label>
+      `).join("")}
+      <button type="button" class="btn btn-sm primary" id="deckImageSave" disabled>Download .PNG</button>
+    </div>
+    <div class="deck-image-preview" id="deckImagePreview" aria-live="polite"></div>
+  `);
+  const q = (sel) => modal.querySelector(sel);
+  const preview = q("#deckImagePreview");
+  let canvas = null, renderId = 0;
+
+  const draw = async () => {
+    const myRender = ++renderId;
+    const layout = q('input[name="deckImageLayout"]:checked').value;
+    q("#deckImageSave").disabled = true;
+    preview.innerHTML = `<p class="muted">Loading card images…</p>`;
+    const next = await renderDeckCanvas(deck, layout);
+    if (myRender !== renderId) return; // layout changed meanwhile
+    canvas = next;
+    canvas.setAttribute("role", "img");
+    canvas.setAttribute("aria-label", `${deck.name || "Deck"} decklist`);
+    preview.replaceChildren(canvas);
+    q("#deckImageSave").disabled = false;
+  };
+
+  modal.addEventListener("change", (e) => { if (e.target.name === "deckImageLayout") draw(); });
+  q("#deckImageSave").addEventListener("click", () => {
+    if (!canvas) return;
+    try {
+      canvas.toBlob((blob) => {
+        if (blob) downloadBlob(`${deck.name || "deck"}.png`, blob);
+      }, "image/png");
+    } catch (err) {
+      console.error(err);
+      alert("The browser blocked exporting this image.");
+    }
+  });
+  draw();
+}
+
+/* ===== END: DECK IMAGE ===== */
+
+
+/* =========================
+   28) CROSSFADE LOAD + BOOT
+========================= */
+
+async function crossfadeLoad(path) {
+  const mount = document.getElementById("deck-root");
+  if (!mount) return;
+
+  showLoader();
+  mount.classList.add("is-switching");
+  await wait(180);
+
+  try {
+    const deck = await loadDeck(path);
+    CURRENT_DECK = deck;
+    CURRENT_DECK_SRC = path;
+    WORKING_DECK = loadEdits(path);
+    DECK_VIEW = loadDeckView(path);
+    EDIT_MODE = false;
+    APPLIED_PLAN = null;
+    CURRENT_HAND = [];
+    clearDrawn();
+    render(activeDeck());
+  } catch (e) {
+    console.error(e);
+    mount.innerHTML = `
+      <p style="color:tomato">Couldn't load the deck (${escapeHtml(e.message)}).</p>
+      ${e.issues ? `<ul class="schema-issues">${schemaIssueItems(e.issues)}</ul>` : ""}
+    `;
+  } finally {
+    requestAnimationFrame(() => {
+      mount.classList.remove("is-switching");
+      hideLoader();
+    });
+  }
+}
+
+// Bootstrap
+document.addEventListener("DOMContentLoaded", async () => {
+  wireLibraryActions();     // rename / delete on library boxes
+  initBanlists();           // Forbidden & Limited list (restored choice)
+  wireLifePoints(document); // lifepoint counter (once)
+  wireDuelTools(document);  // dice, coin, turn/phase, counters
+  wireMatch(document);      // match mode (restores a running match)
+
+  const root  = document.getElementById("deck-root");
+  const boxes = document.querySelector(".deckboxes");
+  if (!root || !boxes) return;
+
+  // Neutral state (no deck)
+  root.innerHTML = `<p class="muted"></p>`;
+
+  // Compare view
+  document.getElementById("compareDecksBtn")?.addEventListener("click", () => {
+    boxes.querySelectorAll(".deckbox, .deck-btn").forEach(b => b.classList.remove("is-active"));
+    writeUrlState({}, { push: true });
+    renderCompare(root);
+  });
+
+  // Open / close a deckbox (clicks and deep links share this)
+  const toggleDeckBox = async (btn) => {
+    // Clicking active deck again clears view
+    if (btn.classList.contains("is-active")) {
+      btn.classList.remove("is-active");
+      root.innerHTML = `<p class="muted"></p>`;
+      writeUrlState({}, { push: true });
+      return;
+    }
+
+    const path    = btn.getAttribute("data-deck");
+    const deckKey = btn.dataset.deckKey;
+    if (!path || !deckKey) return;
+    writeUrlState({ deck: deckKey }, { push: true });
+
+    // Body theme for deck glow
+    document.body.classList.forEach(cls => { if (cls.endsWith("-deck")) document.body.classList.remove(cls); });
+    document.body.classList.add(`${deckKey}-deck`);
+
+    // Visual “active” state
+    boxes.querySelectorAll(".deckbox, .deck-btn").forEach(b => b.classList.remove("is-active"));
+    btn.classList.add("is-active");
+
+    try {
+      await crossfadeLoad(path);
+      btn.classList.remove("is-opening");
+      btn.classList.add("is-active");
+    } catch {
+      btn.classList.remove("is-opening");
+    }
+  };
+
+  // Deck selection / toggling (delegated: library boxes come and go)
+  boxes.addEventListener("click", (e) => {
+    const btn = e.target.closest(".deckbox, .deck-btn");
+    if (btn) toggleDeckBox(btn);
+  });
+
+  // Deckboxes: manifest decks, then imported ones (deck library)
+  await initDeckChooser();
+  preloadDeckCounts();      // counts on deckbox labels
+  renderLibraryBoxes();
+
+  // Deep links: restore on load, follow back/forward
+  window.addEventListener("popstate", () => restoreUrlState(root, toggleDeckBox));
+  restoreUrlState(root, toggleDeckBox);
 });
 
 /* ===== END: CROSSFADE + BOOT ===== */